@@ -5,6 +5,11 @@ import About from "./pages/About";
 import Navbar from "./components/Navbar";
 import Footer from "./components/Footer";
 import UpcomingEvents from "./pages/UpcomingEvents";
+import PastEvents from "./pages/PastEvents";
+import Verify from "./pages/Verify";
+import PaymentCallback from "./pages/PaymentCallback";
+import MockGateway from "./pages/MockGateway";
+import EventCalendar from "./pages/EventCalendar";
 import ContestTracker from "./pages/ContestTracker";
 import Contact from "./pages/Contact";
 import Login from "./pages/auth-folder/Login";
@@ -29,6 +34,15 @@ import RegistrationDetails from "./pages/Admin-Panel/RegistrationDetails";
 import PadGeneration from "./pages/Admin-Panel/PadGeneration";
 import PadHistory from "./pages/Admin-Panel/PadHistory";
 import InvoiceSend from "./pages/Admin-Panel/CreateInvoice";
+import ResultsEditor from "./pages/Admin-Panel/ResultsEditor";
+import CheckIn from "./pages/Admin-Panel/CheckIn";
+import Certificates from "./pages/Admin-Panel/Certificates";
+import MembershipRequests from "./pages/Admin-Panel/MembershipRequests";
+import RequireAuth from "./components/RequireAuth";
+import RequireRole from "./components/RequireRole";
+import OnboardingGate from "./components/OnboardingGate";
+import { MODULE_ROLES, STAFF_ROLES } from "./utils/roles";
+import { ONBOARDING_STEPS } from "./utils/onboarding";
 
 const App = () => {
   const location = useLocation();
@@ -51,14 +65,13 @@ const App = () => {
         <Route path="/" element={<Home />}></Route>
         <Route path="/about" element={<About />}></Route>
         <Route path="/events" element={<UpcomingEvents />}></Route>
+        <Route path="/events/past" element={<PastEvents />}></Route>
         <Route path="/events/:id" element={<SingleEvent />}></Route>
         <Route path="/contest" element={<ContestTracker />}></Route>
-        <Route path="/roadmaps" element={<Roadmap />}></Route>
-        <Route path="/resources" element={<StudyResources />}></Route>
+        <Route path="/calendar" element={<EventCalendar />}></Route>
+        <Route path="/verify" element={<Verify />}></Route>
         <Route path="/register" element={<Register />}></Route>
         <Route path="/login" element={<Login />}></Route>
-        <Route path="/mail-verify" element={<EmailVerification />}></Route>
-        <Route path="/add-information" element={<AddInformation />}></Route>
         <Route path="/oj-help" element={<OjHelp />}></Route>
         <Route
           path="/send-forgot-pass-code"
@@ -68,22 +81,55 @@ const App = () => {
           path="/verify-forgot-pass-code"
           element={<VerifyForgotPassCode />}
         ></Route>
+        // logged-in members, kept on their onboarding step until it is done
+        <Route element={<RequireAuth />}>
+          <Route element={<OnboardingGate step={ONBOARDING_STEPS.VERIFY_EMAIL} />}>
+            <Route path="/mail-verify" element={<EmailVerification />}></Route>
+          </Route>
+          <Route element={<OnboardingGate step={ONBOARDING_STEPS.ADD_INFORMATION} />}>
+            <Route path="/add-information" element={<AddInformation />}></Route>
+          </Route>
+          <Route element={<OnboardingGate />}>
+            <Route path="/profile" element={<Profile />}></Route>
+            <Route path="/roadmaps" element={<Roadmap />}></Route>
+            <Route path="/resources" element={<StudyResources />}></Route>
+            <Route path="/payment/mock" element={<MockGateway />}></Route>
+            <Route path="/payment/callback/:gateway" element={<PaymentCallback />}></Route>
+          </Route>
+        </Route>
         // admin
-        <Route path="/admin-panel" element={<AdminPanel />}>
-          <Route path="add" element={<AddEvent />} />
-          <Route path="list" element={<ListEvents />} />
-          <Route path="members" element={<Members />} />
-          <Route path="gallery" element={<UploadImages />} />
-          <Route path="settings" element={<Settings />} />
-          <Route path="pad-generation" element={<PadGeneration />} />
-          <Route path="pad-history" element={<PadHistory />} />
-          <Route path="create-invoice" element={<InvoiceSend />} />
-          <Route
-            path="registration-details"
-            element={<RegistrationDetails />}
-          />
+        <Route element={<RequireRole roles={STAFF_ROLES} />}>
+          <Route path="/admin-panel" element={<AdminPanel />}>
+            <Route element={<RequireRole roles={MODULE_ROLES.events} />}>
+              <Route path="add" element={<AddEvent />} />
+              <Route path="list" element={<ListEvents />} />
+              <Route
+                path="registration-details"
+                element={<RegistrationDetails />}
+              />
+              <Route path="results/:id" element={<ResultsEditor />} />
+              <Route path="check-in" element={<CheckIn />} />
+              <Route path="certificates" element={<Certificates />} />
+            </Route>
+            <Route element={<RequireRole roles={MODULE_ROLES.members} />}>
+              <Route path="members" element={<Members />} />
+            </Route>
+            <Route element={<RequireRole roles={MODULE_ROLES.membershipRequests} />}>
+              <Route path="membership-requests" element={<MembershipRequests />} />
+            </Route>
+            <Route element={<RequireRole roles={MODULE_ROLES.gallery} />}>
+              <Route path="gallery" element={<UploadImages />} />
+            </Route>
+            <Route element={<RequireRole roles={MODULE_ROLES.documents} />}>
+              <Route path="pad-generation" element={<PadGeneration />} />
+              <Route path="pad-history" element={<PadHistory />} />
+              <Route path="create-invoice" element={<InvoiceSend />} />
+            </Route>
+            <Route element={<RequireRole roles={MODULE_ROLES.settings} />}>
+              <Route path="settings" element={<Settings />} />
+            </Route>
+          </Route>
         </Route>
-        <Route path="/profile" element={<Profile />}></Route>
         <Route path="/contact" element={<Contact />}></Route>
         <Route path="/contributors" element={<Contributors />}></Route>
       </Routes>
@@ -0,0 +1,62 @@
+import client, { toDownload } from "./client";
+import { getSlug } from "./session";
+
+/**
+ * @typedef {Object} Certificate
+ * @property {string} serial verifiable on the public /verify page
+ * @property {"participation"|"achievement"} type
+ * @property {string} recipientName
+ * @property {number} classroll
+ * @property {string} [achievement] e.g. "Champion", only for achievement certificates
+ * @property {string} eventId
+ * @property {string} eventName
+ * @property {string} issuedAt ISO datetime
+ */
+
+/** @returns {Promise<{ data: { _id: string, name: string, type: Certificate["type"], previewUrl?: string }[] }>} */
+export const getTemplates = async () => {
+  const { data } = await client.get("/user/certificate/templates", {
+    params: { slug: getSlug() },
+  });
+  return data;
+};
+
+/**
+ * Issues one PDF per recipient, each with its own serial.
+ * @param {{ eventId: string, templateId: string, type: Certificate["type"],
+ *   recipients: { classroll: number, name: string, achievement?: string }[],
+ *   authorizers: { name: string, role: string }[] }} payload
+ * @returns {Promise<{ message: string, data: Certificate[] }>}
+ */
+export const generateCertificates = async (payload) => {
+  const { data } = await client.post("/user/certificate/generate", {
+    ...payload,
+    slug: getSlug(),
+  });
+  return data;
+};
+
+/** @returns {Promise<{ data: Certificate[] }>} */
+export const getEventCertificates = async (eventId) => {
+  const { data } = await client.get(`/user/certificate/event/${eventId}`, {
+    params: { slug: getSlug() },
+  });
+  return data;
+};
+
+/** The session user's own certificates. @returns {Promise<{ data: Certificate[] }>} */
+export const getMyCertificates = async () => {
+  const { data } = await client.post("/user/certificate/mine", {
+    slug: getSlug(),
+  });
+  return data;
+};
+
+/** @returns {Promise<{ blob: Blob, filename: string, headers: Object }>} */
+export const downloadCertificate = async (serial) => {
+  const response = await client.get(`/user/certificate/download/${serial}`, {
+    params: { slug: getSlug() },
+    responseType: "blob",
+  });
+  return toDownload(response, `pcIST-certificate-${serial}.pdf`);
+};
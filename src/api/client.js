@@ -0,0 +1,91 @@
+import axios from "axios";
+import { clearSession, getSlug, getToken } from "./session";
+
+/**
+ * Shared axios instance for the pcIST backend.
+ *
+ * - Attaches `Authorization`, `x-user-slug` and `x-slug` to every request
+ *   while a session exists.
+ * - Rejects with an {@link ApiError} instead of the raw axios error.
+ * - Hands authenticated 401 responses to the unauthorized handler so the
+ *   session can be dropped in one place.
+ */
+const client = axios.create({
+  baseURL: import.meta.env.VITE_BACKEND_URL,
+});
+
+/**
+ * @typedef {Error & { status: number, data: any, isApiError: true }} ApiError
+ * `status` is 0 when the request never reached the server.
+ */
+
+let unauthorizedHandler = clearSession;
+
+// UserContext replaces the default so the UI reacts to the logout as well.
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler || clearSession;
+};
+
+client.interceptors.request.use((config) => {
+  const token = getToken();
+  const slug = getSlug();
+
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  if (slug) {
+    config.headers["x-user-slug"] = slug;
+    config.headers["x-slug"] = slug;
+  }
+  return config;
+});
+
+// Blob requests (PAD/invoice downloads) get their error body as a Blob too.
+const readErrorBody = async (data) => {
+  if (typeof Blob !== "undefined" && data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text());
+    } catch {
+      return null;
+    }
+  }
+  return data;
+};
+
+const toApiError = async (error) => {
+  const status = error.response?.status ?? 0;
+  const data = await readErrorBody(error.response?.data);
+  const message =
+    data?.message ||
+    (status
+      ? "Something went wrong. Please try again."
+      : "Unable to reach the server. Check your connection.");
+
+  return Object.assign(new Error(message), { status, data, isApiError: true });
+};
+
+client.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const apiError = await toApiError(error);
+    if (apiError.status === 401 && error.config?.headers?.Authorization) {
+      unauthorizedHandler();
+    }
+    return Promise.reject(apiError);
+  }
+);
+
+/**
+ * Turns a blob response into something a page can hand to `saveBlob`.
+ * The backend names the file through `content-disposition`.
+ */
+export const toDownload = (response, fallbackName) => {
+  const disposition = response.headers["content-disposition"];
+  const match = disposition?.match(/filename="?([^"]+)"?/);
+
+  return {
+    blob: new Blob([response.data], { type: "application/pdf" }),
+    filename: match ? match[1] : fallbackName,
+    headers: response.headers,
+  };
+};
+
+export default client;
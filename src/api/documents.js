@@ -0,0 +1,22 @@
+import client from "./client";
+
+/**
+ * @typedef {Object} VerifiedDocument
+ * @property {"certificate"|"pad"|"invoice"} type
+ * @property {string} serial
+ * @property {string} issuedAt ISO datetime
+ * @property {string} subject PAD subject, invoice title or "<recipient> — <event>" for certificates
+ * @property {{ name: string, role: string }[]} authorizers
+ * @property {boolean} [revoked]
+ */
+
+/**
+ * Public lookup of any pcIST-issued document by its serial. The backend only
+ * returns the fields above, never receiver contact details. Unknown serials
+ * reject with a 404 ApiError.
+ * @returns {Promise<{ data: VerifiedDocument }>}
+ */
+export const verifyDocument = async (serial) => {
+  const { data } = await client.get(`/user/verify/${encodeURIComponent(serial)}`);
+  return data;
+};
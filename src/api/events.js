@@ -0,0 +1,225 @@
+import client from "./client";
+import { getSlug } from "./session";
+
+/**
+ * @typedef {Object} PcistEvent
+ * @property {string} _id
+ * @property {string} eventName
+ * @property {"solo"|"team"} eventType
+ * @property {string} date ISO datetime
+ * @property {string} registrationDeadline ISO datetime
+ * @property {string} location
+ * @property {string} description
+ * @property {boolean} needMembership
+ * @property {{ url: string }[]} images
+ * @property {"draft"|"published"|"registration_closed"|"completed"|"archived"} [status]
+ *   absent on events created before statuses existed; see utils/eventStatus
+ * @property {{ standings: Object[], winners: Object[], photos: { url: string }[] }} [results]
+ *   filled in once the event is over
+ * @property {number} [registrationFee] BDT per participant, 0 or absent when free
+ * @property {number} [capacity] max teams (team events) or participants (solo), absent when unlimited
+ * @property {Object[]} [waitlist] queue once capacity is reached, first in line first;
+ *   entries hold the same `Name` or `teamName`/`members` a registration would, plus `joinedAt`
+ * @property {{ id: string, label: string, type: "text"|"select"|"checkbox"|"file",
+ *   options: string[], required: boolean }[]} [questions] asked on registration
+ * @property {Object[]} [registeredMembers] solo events only
+ * @property {Object[]} [registeredTeams] team events only
+ *
+ * Registrations carry their `answers` to the event's questions (on the team
+ * for team events), `status` ("withdrawn" once cancelled) and a `history`
+ * audit trail; withdrawn ones are kept rather than removed. Participants get
+ * `checkedInAt` once they are checked in at the venue, and `paymentId` once
+ * their fee is paid online (see paymentApi.getReceipt).
+ */
+
+/**
+ * Public iCalendar feed of every published event, for calendar subscriptions.
+ * Needs the backend's `GET /event/calendar.ics` route, so it stays off (null)
+ * until a deployment sets `VITE_CALENDAR_FEED=true`.
+ */
+export const calendarFeedUrl = () =>
+  import.meta.env.VITE_CALENDAR_FEED === "true"
+    ? `${(import.meta.env.VITE_BACKEND_URL || "").replace(/\/$/, "")}/event/calendar.ics`
+    : null;
+
+/** @returns {Promise<{ soloEvents: PcistEvent[], teamEvents: PcistEvent[] }>} */
+export const getAllEvents = async () => {
+  const { data } = await client.get("/event/get_all_event");
+  return data;
+};
+
+/** @returns {Promise<{ data: PcistEvent, eventType: "solo"|"team" }>} */
+export const getEvent = async (id) => {
+  const { data } = await client.get(`/event/get_one_event/${id}`);
+  return data;
+};
+
+/**
+ * Multipart, as add_event has always taken it: every field as a part (the
+ * API expects "true"/"false" strings for booleans, objects as JSON) plus the
+ * `images` files and `imageOrder` from `gallery`.
+ * @param {Object} fields
+ * @param {FormData|null} gallery
+ */
+export const addEvent = async (fields, gallery) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    formData.append(key, typeof value === "object" ? JSON.stringify(value) : String(value));
+  });
+  gallery?.forEach((value, key) => formData.append(key, value));
+  formData.append("slug", getSlug() || "");
+  const { data } = await client.post("/event/add_event", formData);
+  return data;
+};
+
+/**
+ * JSON, as update_event has always taken it. Newer fields (`status`,
+ * `registrationFee`, `capacity`, team sizes, `questions`) ride along in the
+ * same body; images are changed through {@link updateEventImages}.
+ */
+export const updateEvent = async (id, fields) => {
+  const { data } = await client.put(`/event/update_event/${id}`, {
+    ...fields,
+    slug: getSlug(),
+  });
+  return data;
+};
+
+/**
+ * Replaces an event's gallery. Needs the backend's multipart
+ * `PUT /event/update_event_images/:id` route, which takes new `images` files
+ * and the `imageOrder` JSON described in EventEditor.
+ * @param {FormData} gallery
+ */
+export const updateEventImages = async (id, gallery) => {
+  gallery.append("slug", getSlug() || "");
+  const { data } = await client.put(`/event/update_event_images/${id}`, gallery);
+  return data;
+};
+
+export const setEventStatus = async (id, status) => {
+  const { data } = await client.put(`/event/update_event_status/${id}`, {
+    status,
+    slug: getSlug(),
+  });
+  return data;
+};
+
+export const updateEventResults = async (id, results) => {
+  const { data } = await client.put(`/event/update_event_results/${id}`, {
+    results,
+    slug: getSlug(),
+  });
+  return data;
+};
+
+export const deleteEvent = async (id) => {
+  const { data } = await client.post(`/event/delete_event/${id}`, {
+    slug: getSlug(),
+  });
+  return data;
+};
+
+/**
+ * JSON body with the registrant's `answers`, or multipart when a file
+ * question was answered: every field as a part (objects as JSON), the other
+ * answers as JSON under `answers`, and each file as `answer_<questionId>`.
+ */
+const withAnswers = (fields, answers = {}) => {
+  const entries = Object.entries(answers);
+  if (!entries.some(([, value]) => value instanceof File)) return { ...fields, answers };
+
+  const data = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined) return;
+    data.append(key, typeof value === "object" ? JSON.stringify(value) : value);
+  });
+  data.append(
+    "answers",
+    JSON.stringify(Object.fromEntries(entries.filter(([, value]) => !(value instanceof File))))
+  );
+  entries
+    .filter(([, value]) => value instanceof File)
+    .forEach(([questionId, file]) => data.append(`answer_${questionId}`, file));
+  return data;
+};
+
+// The registration endpoints expect the slug as a number.
+export const registerForSoloEvent = async (id, { Name, answers }) => {
+  const { data } = await client.post(
+    `/event/register_for_solo_event/${id}`,
+    withAnswers({ Name, slug: Number(getSlug()) }, answers)
+  );
+  return data;
+};
+
+export const registerForTeamEvent = async (id, { teamName, members, answers }) => {
+  const { data } = await client.post(
+    `/event/register_for_team_event/${id}`,
+    withAnswers({ teamName, members, slug: Number(getSlug()) }, answers)
+  );
+  return data;
+};
+
+// Replaces the team name and roster of the session user's team.
+export const updateTeamRegistration = async (id, { teamName, members }) => {
+  const { data } = await client.put(`/event/update_team_registration/${id}`, {
+    teamName,
+    members,
+    slug: Number(getSlug()),
+  });
+  return data;
+};
+
+/**
+ * Queues the session user for a full event with the same details a
+ * registration takes. The backend registers the first in line whenever a
+ * spot opens up, e.g. after a withdrawal or a capacity increase.
+ */
+export const joinWaitlist = async (id, { Name, teamName, members, answers }) => {
+  const { data } = await client.post(
+    `/event/join_waitlist/${id}`,
+    withAnswers({ Name, teamName, members, slug: Number(getSlug()) }, answers)
+  );
+  return data;
+};
+
+export const leaveWaitlist = async (id) => {
+  const { data } = await client.post(`/event/leave_waitlist/${id}`, {
+    slug: Number(getSlug()),
+  });
+  return data;
+};
+
+// Cancels the session user's solo registration or their team's registration.
+export const withdrawRegistration = async (id) => {
+  const { data } = await client.post(`/event/withdraw_registration/${id}`, {
+    slug: Number(getSlug()),
+  });
+  return data;
+};
+
+/**
+ * Marks a registration paid or unpaid. Pass `memberId` for one participant,
+ * or only `teamId` to set every member of a team at once.
+ */
+export const setPaymentStatus = async (id, { teamId, memberId, paymentStatus }) => {
+  const { data } = await client.put(`/event/update_payment_status/${id}`, {
+    teamId,
+    memberId,
+    paymentStatus,
+    slug: getSlug(),
+  });
+  return data;
+};
+
+// Marks one participant as attended; `checkedIn: false` undoes a mistaken scan.
+export const checkIn = async (id, { classroll, memberId, checkedIn = true }) => {
+  const { data } = await client.post(`/event/check_in/${id}`, {
+    classroll,
+    memberId,
+    checkedIn,
+    slug: getSlug(),
+  });
+  return data;
+};
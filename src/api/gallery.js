@@ -0,0 +1,16 @@
+import client from "./client";
+
+/** @returns {Promise<{ images: { url: string }[] }>} */
+export const getGalleryImages = async () => {
+  const { data } = await client.get("/event/fetch_gallery_images");
+  return data;
+};
+
+/** @param {File[]} images */
+export const uploadGalleryImages = async (images) => {
+  const formData = new FormData();
+  images.forEach((img) => formData.append("images", img));
+
+  const { data } = await client.post("/event/upload_images_to_gallery", formData);
+  return data;
+};
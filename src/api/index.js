@@ -0,0 +1,10 @@
+export { default as client, setUnauthorizedHandler } from "./client";
+export * from "./session";
+export * as eventApi from "./events";
+export * as userApi from "./users";
+export * as padApi from "./pads";
+export * as invoiceApi from "./invoices";
+export * as galleryApi from "./gallery";
+export * as certificateApi from "./certificates";
+export * as documentApi from "./documents";
+export * as paymentApi from "./payments";
@@ -0,0 +1,15 @@
+import client, { toDownload } from "./client";
+import { getSlug } from "./session";
+
+/**
+ * The invoice id, serial and issue date come back as `x-invoice-*` headers.
+ * @returns {Promise<{ blob: Blob, filename: string, headers: Object }>}
+ */
+export const downloadInvoice = async (payload) => {
+  const response = await client.post(
+    "/user/invoice/download",
+    { ...payload, slug: getSlug() },
+    { responseType: "blob" }
+  );
+  return toDownload(response, "invoice.pdf");
+};
@@ -0,0 +1,21 @@
+import client, { toDownload } from "./client";
+import { getSlug } from "./session";
+
+/**
+ * @param {FormData} formData `statementPdf` plus optional authorizers/contact
+ * @returns {Promise<{ blob: Blob, filename: string, headers: Object }>}
+ */
+export const downloadPad = async (formData) => {
+  formData.append("slug", getSlug() || "");
+  const response = await client.post("/user/pad/download", formData, {
+    responseType: "blob",
+  });
+  return toDownload(response, "pcIST-PAD.pdf");
+};
+
+export const getPadHistory = async () => {
+  const { data } = await client.get("/user/pad/history", {
+    params: { slug: getSlug() },
+  });
+  return data;
+};
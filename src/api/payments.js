@@ -0,0 +1,69 @@
+import client from "./client";
+import { getSlug } from "./session";
+
+/**
+ * @typedef {Object} PaymentReceipt
+ * @property {string} paymentId
+ * @property {string} transactionId reference issued by the gateway
+ * @property {string} gateway "bkash" | "sslcommerz" | "mock"
+ * @property {number} amount BDT
+ * @property {string} paidAt ISO datetime
+ * @property {string} [eventId] event fee payments only
+ * @property {string} [eventName]
+ * @property {string} [purpose] what was paid for when it isn't an event, e.g. "Membership (6 months)"
+ * @property {{ name: string, classroll: number, email: string }} payer
+ * @property {string} [teamName]
+ */
+
+/**
+ * Opens a pending payment for the session user's registration fee. The
+ * gateway sends the payer back to `returnUrl` with its own query parameters.
+ * @returns {Promise<{ data: { paymentId: string, amount: number, redirectUrl?: string } }>}
+ */
+export const startPayment = async (eventId, { gateway, returnUrl }) => {
+  const { data } = await client.post(`/event/start_payment/${eventId}`, {
+    gateway,
+    returnUrl,
+    slug: getSlug(),
+  });
+  return data;
+};
+
+/**
+ * Same as {@link startPayment}, for the dues of a membership application.
+ * @returns {Promise<{ data: { paymentId: string, amount: number, redirectUrl?: string } }>}
+ */
+export const startMembershipPayment = async (applicationId, { gateway, returnUrl }) => {
+  const { data } = await client.post(
+    `/user/membership-application/${applicationId}/start-payment`,
+    { gateway, returnUrl, slug: getSlug() }
+  );
+  return data;
+};
+
+/**
+ * Hands the gateway's callback parameters to the backend, which validates
+ * them with the gateway and marks the registration (or membership application) paid.
+ * Without a `paymentId` (the payer came back in another browser) it posts to
+ * `/event/confirm_payment`, and the backend finds the payment by the
+ * gateway's transaction id in `params`.
+ * @param {string} [paymentId] as returned by startPayment
+ * @returns {Promise<{ message: string, data: PaymentReceipt }>}
+ */
+export const confirmPayment = async (paymentId, { gateway, params }) => {
+  const path = paymentId ? `/event/confirm_payment/${paymentId}` : "/event/confirm_payment";
+  const { data } = await client.post(path, {
+    gateway,
+    params,
+    slug: getSlug(),
+  });
+  return data;
+};
+
+/** @returns {Promise<{ data: PaymentReceipt }>} */
+export const getReceipt = async (paymentId) => {
+  const { data } = await client.get(`/event/payment_receipt/${paymentId}`, {
+    params: { slug: getSlug() },
+  });
+  return data;
+};
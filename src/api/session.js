@@ -0,0 +1,18 @@
+// Where the auth contract with the backend is persisted in the browser.
+// Every request reads from here, so pages never touch these keys directly.
+const TOKEN_KEY = "token";
+const SLUG_KEY = "slug";
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const getSlug = () => localStorage.getItem(SLUG_KEY);
+
+export const saveSession = ({ token, slug }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(SLUG_KEY, slug);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(SLUG_KEY);
+};
@@ -0,0 +1,237 @@
+import client from "./client";
+import { getSlug } from "./session";
+
+/**
+ * @typedef {Object} PcistUser
+ * @property {string} _id
+ * @property {string} slug class roll as a string
+ * @property {number} classroll
+ * @property {string} name
+ * @property {string} email
+ * @property {boolean} is_email_verified
+ * @property {boolean} membership
+ * @property {string} [membershipStartedAt] ISO datetime of the current term's start
+ * @property {string} [membershipExpiresAt] ISO datetime; see utils/membership
+ * @property {Object[]} [membershipHistory] activations, extensions and revocations with who made them
+ * @property {number} role one of ROLES in utils/roles
+ */
+
+/** @returns {Promise<{ status: boolean, token?: string, slug?: string, message?: string }>} */
+export const login = async ({ classroll, password }) => {
+  const { data } = await client.post("/user/login", { classroll, password });
+  return data;
+};
+
+export const register = async ({ classroll, email, password }) => {
+  const { data } = await client.post("/user/register", {
+    classroll,
+    email,
+    password,
+  });
+  return data;
+};
+
+export const sendVerificationEmail = async () => {
+  const { data } = await client.post("/user/send-verification-email", {
+    slug: getSlug(),
+  });
+  return data;
+};
+
+export const verifyUser = async (code) => {
+  const { data } = await client.post("/user/verify-user", {
+    slug: getSlug(),
+    code,
+  });
+  return data;
+};
+
+/** @returns {Promise<PcistUser>} */
+export const getUserData = async () => {
+  const { data } = await client.post("/user/get-user-data", {
+    slug: getSlug(),
+  });
+  return data;
+};
+
+export const updateProfile = async (fields) => {
+  const { data } = await client.put("/user/update-profile", {
+    ...fields,
+    slug: getSlug(),
+  });
+  return data;
+};
+
+export const sendForgotPasswordEmail = async (email) => {
+  const { data } = await client.post("/user/send-forgot-password-email", {
+    email,
+  });
+  return data;
+};
+
+export const recoverPassword = async ({ email, code, password }) => {
+  const { data } = await client.post("/user/recover-password", {
+    email,
+    code,
+    password,
+  });
+  return data;
+};
+
+/** @returns {Promise<{ data: PcistUser[] }>} */
+export const getUserList = async () => {
+  const { data } = await client.post("/user/get-user-list", {
+    slug: getSlug(),
+  });
+  return data;
+};
+
+/**
+ * Activates a membership for `durationInMonths` from today, or revokes it
+ * with `membership: false` (an optional `note` records why).
+ */
+export const updateMembershipStatus = async (
+  userId,
+  { membership, durationInMonths, note }
+) => {
+  const { data } = await client.post(
+    `/user/update-membership-status/${userId}`,
+    { membership, durationInMonths, note, slug: getSlug() }
+  );
+  return data;
+};
+
+// Adds `durationInMonths` to the current expiry date rather than to today.
+export const extendMembership = async (userId, { durationInMonths }) => {
+  const { data } = await client.post(`/user/extend-membership/${userId}`, {
+    durationInMonths,
+    slug: getSlug(),
+  });
+  return data;
+};
+
+/**
+ * Applies one membership change to many members at once; each still gets
+ * its own history entry.
+ * @param {string[]} userIds
+ * @param {{ action: "activate"|"extend"|"revoke", durationInMonths?: number, note?: string }} change
+ */
+export const bulkUpdateMembership = async (userIds, { action, durationInMonths, note }) => {
+  const { data } = await client.post("/user/bulk-membership", {
+    userIds,
+    action,
+    durationInMonths,
+    note,
+    slug: getSlug(),
+  });
+  return data;
+};
+
+// Emails each member a renewal reminder and notes it in their membership history.
+export const sendMembershipReminders = async (userIds) => {
+  const { data } = await client.post("/user/send-membership-reminders", {
+    userIds,
+    slug: getSlug(),
+  });
+  return data;
+};
+
+/**
+ * Gives a user a new role. The backend refuses to demote the last super
+ * admin and writes the change, with `reason`, to the role audit log.
+ */
+export const updateUserRole = async (userId, { role, reason }) => {
+  const { data } = await client.post(`/user/update-role/${userId}`, {
+    role,
+    reason,
+    slug: getSlug(),
+  });
+  return data;
+};
+
+/**
+ * Role changes, newest first.
+ * @returns {Promise<{ data: { _id: string, user: PcistUser, from: number, to: number,
+ *   reason?: string, changedBy: { name: string, classroll: number }, createdAt: string }[] }>}
+ */
+export const getRoleAuditLog = async () => {
+  const { data } = await client.get("/user/role-audit-log", {
+    params: { slug: getSlug() },
+  });
+  return data;
+};
+
+/**
+ * Confirms a class roll belongs to a registered pcIST account.
+ * Rejects with status 404 when it doesn't.
+ * @returns {Promise<{ name: string, email: string, classroll: number }>}
+ */
+export const lookupMemberByRoll = async (classroll) => {
+  const { data } = await client.get(`/user/lookup-by-roll/${classroll}`);
+  return data.data;
+};
+
+/**
+ * @typedef {Object} MembershipApplication
+ * @property {string} _id
+ * @property {PcistUser} user with their current membership dates
+ * @property {number} durationInMonths
+ * @property {number} fee
+ * @property {"online"|"proof"} paymentMethod
+ * @property {boolean} paid true once an online payment is confirmed
+ * @property {{ url: string, name: string }} [proof]
+ * @property {string} [transactionId]
+ * @property {"pending"|"approved"|"rejected"} status
+ * @property {string} [reason] why it was rejected
+ * @property {{ name: string, classroll: number }} [reviewedBy]
+ * @property {string} createdAt
+ */
+
+/** @returns {Promise<{ data: { durationInMonths: number, fee: number }[] }>} */
+export const getMembershipPlans = async () => {
+  const { data } = await client.get("/user/membership-plans");
+  return data;
+};
+
+/**
+ * A member's request to join or renew. Multipart, since paying by transfer
+ * comes with a `proof` image or PDF and its `transactionId`; online payments
+ * are started afterwards with paymentApi.startMembershipPayment.
+ * @param {FormData} formData `durationInMonths`, `paymentMethod` ("online" | "proof"), `proof`, `transactionId`
+ * @returns {Promise<{ message: string, data: MembershipApplication }>}
+ */
+export const applyForMembership = async (formData) => {
+  formData.append("slug", getSlug() || "");
+  const { data } = await client.post("/user/membership-application", formData);
+  return data;
+};
+
+/** The session user's applications, newest first. @returns {Promise<{ data: MembershipApplication[] }>} */
+export const getMyMembershipApplications = async () => {
+  const { data } = await client.get("/user/membership-application/mine", {
+    params: { slug: getSlug() },
+  });
+  return data;
+};
+
+/** @returns {Promise<{ data: MembershipApplication[] }>} */
+export const getMembershipApplications = async ({ status } = {}) => {
+  const { data } = await client.get("/user/membership-applications", {
+    params: { status, slug: getSlug() },
+  });
+  return data;
+};
+
+/**
+ * Records the admin's decision. Approving also activates the membership (or
+ * extends a running one) by the requested duration in the same call, and
+ * the backend ignores a repeat approval, so a retry never extends twice.
+ */
+export const reviewMembershipApplication = async (id, { status, reason }) => {
+  const { data } = await client.post(`/user/membership-application/${id}/review`, {
+    status,
+    reason,
+    slug: getSlug(),
+  });
+  return data;
+};
@@ -0,0 +1,169 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { FiChevronLeft, FiChevronRight } from "react-icons/fi";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MAX_PER_CELL = 3;
+
+const KIND_STYLES = {
+  event: "bg-orange-100 text-orange-800 hover:bg-orange-200",
+  contest: "bg-blue-100 text-blue-800 hover:bg-blue-200",
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const startOfWeek = (date) => addDays(startOfDay(date), -date.getDay());
+
+const isSameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+const formatTime = (date) =>
+  date.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+
+// Club events link inside the app; contests open the judge's site.
+const EntryLink = ({ entry, showTime }) => {
+  const className = `block truncate rounded px-1.5 py-0.5 text-xs transition ${KIND_STYLES[entry.kind]}`;
+  const label = (
+    <>
+      {showTime && <span className="font-medium">{formatTime(entry.start)} </span>}
+      {entry.title}
+    </>
+  );
+
+  return entry.to ? (
+    <Link to={entry.to} className={className} title={entry.title}>
+      {label}
+    </Link>
+  ) : (
+    <a href={entry.href} target="_blank" rel="noreferrer" className={className} title={entry.title}>
+      {label}
+    </a>
+  );
+};
+
+/**
+ * Month / week calendar.
+ * `entries`: `[{ key, title, start: Date, kind: "event"|"contest", to?, href? }]`.
+ */
+const Calendar = ({ entries }) => {
+  const [view, setView] = useState("month");
+  const [cursor, setCursor] = useState(() => startOfDay(new Date()));
+  const today = new Date();
+
+  const entriesOn = (day) =>
+    entries
+      .filter((e) => isSameDay(e.start, day))
+      .sort((a, b) => a.start - b.start);
+
+  const days =
+    view === "month"
+      ? Array.from({ length: 42 }, (_, i) =>
+          addDays(startOfWeek(new Date(cursor.getFullYear(), cursor.getMonth(), 1)), i)
+        )
+      : Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(cursor), i));
+
+  const move = (step) =>
+    setCursor((prev) =>
+      view === "month"
+        ? new Date(prev.getFullYear(), prev.getMonth() + step, 1)
+        : addDays(prev, step * 7)
+    );
+
+  const title =
+    view === "month"
+      ? cursor.toLocaleDateString("en-US", { month: "long", year: "numeric" })
+      : `${days[0].toLocaleDateString("en-US", { month: "short", day: "numeric" })} – ${days[6].toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })}`;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-md p-4 md:p-6">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <button onClick={() => move(-1)} className="p-2 rounded hover:bg-gray-100" aria-label="Previous">
+            <FiChevronLeft />
+          </button>
+          <button
+            onClick={() => setCursor(startOfDay(new Date()))}
+            className="px-3 py-1 text-sm border rounded hover:bg-gray-50"
+          >
+            Today
+          </button>
+          <button onClick={() => move(1)} className="p-2 rounded hover:bg-gray-100" aria-label="Next">
+            <FiChevronRight />
+          </button>
+          <h3 className="ml-2 text-lg font-semibold text-gray-800">{title}</h3>
+        </div>
+        <div className="flex rounded-md border overflow-hidden text-sm">
+          {["month", "week"].map((v) => (
+            <button
+              key={v}
+              onClick={() => setView(v)}
+              className={`px-3 py-1 capitalize ${view === v ? "bg-orange-500 text-white" : "hover:bg-gray-50"}`}
+            >
+              {v}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Legend */}
+      <div className="flex gap-4 mb-3 text-xs text-gray-600">
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded bg-orange-200" /> pcIST events
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded bg-blue-200" /> Online contests
+        </span>
+      </div>
+
+      {/* Grid */}
+      <div className="grid grid-cols-7 border-t border-l text-sm">
+        {WEEKDAYS.map((d) => (
+          <div key={d} className="border-r border-b bg-gray-50 px-2 py-1 text-xs font-medium text-gray-600">
+            {d}
+          </div>
+        ))}
+        {days.map((day) => {
+          const dayEntries = entriesOn(day);
+          const shown = view === "month" ? dayEntries.slice(0, MAX_PER_CELL) : dayEntries;
+          const outside = view === "month" && day.getMonth() !== cursor.getMonth();
+
+          return (
+            <div
+              key={day.getTime()}
+              className={`border-r border-b p-1 space-y-1 ${
+                view === "month" ? "min-h-24" : "min-h-64"
+              } ${outside ? "bg-gray-50 text-gray-400" : ""}`}
+            >
+              <div
+                className={`text-xs w-6 h-6 flex items-center justify-center rounded-full ${
+                  isSameDay(day, today) ? "bg-orange-500 text-white" : ""
+                }`}
+              >
+                {day.getDate()}
+              </div>
+              {shown.map((entry) => (
+                <EntryLink key={entry.key} entry={entry} showTime={view === "week"} />
+              ))}
+              {dayEntries.length > shown.length && (
+                <button
+                  onClick={() => {
+                    setCursor(day);
+                    setView("week");
+                  }}
+                  className="text-xs text-gray-500 hover:underline"
+                >
+                  +{dayEntries.length - shown.length} more
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default Calendar;
@@ -0,0 +1,33 @@
+import React, { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import { encodeCheckIn } from "../utils/checkin";
+
+// QR code an organizer scans at the venue to check this registration in.
+const CheckInQr = ({ event, member, size = 180 }) => {
+  const [src, setSrc] = useState("");
+  const payload = encodeCheckIn(event._id, member);
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(payload, { width: size, margin: 1 })
+      .then((url) => !cancelled && setSrc(url))
+      .catch((error) => console.error("QR generation failed:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [payload, size]);
+
+  if (!src) return <div style={{ width: size, height: size }} className="bg-gray-100 rounded" />;
+
+  return (
+    <img
+      src={src}
+      width={size}
+      height={size}
+      alt={`Check-in code for ${event.eventName}`}
+      className="rounded border bg-white"
+    />
+  );
+};
+
+export default CheckInQr;
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { eventApi } from "../api";
+import { emptyMember, hasTeamErrors, teamSizeLimits, validateTeam } from "../utils/team";
+import TeamRegistrationForm from "./TeamRegistrationForm";
+
+// Seeds the roster rows from the members already on the team.
+const toRoster = (team) =>
+  (team.members || []).map((m) => ({
+    ...emptyMember(),
+    email: m.email || "",
+    roll: m.classroll != null ? String(m.classroll) : "",
+  }));
+
+const EditTeamModal = ({ event, team, onClose, onSaved }) => {
+  const limits = teamSizeLimits(event);
+  const [teamName, setTeamName] = useState(team.teamName || "");
+  const [members, setMembers] = useState(() => toRoster(team));
+  const [errors, setErrors] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    const found = validateTeam({ teamName, members }, limits);
+    setErrors(found);
+    if (hasTeamErrors(found)) return;
+
+    setSaving(true);
+    try {
+      await eventApi.updateTeamRegistration(event._id, {
+        teamName: teamName.trim(),
+        members: members.map((m) => m.email.trim()),
+      });
+      onSaved();
+    } catch (error) {
+      setErrors({ ...found, form: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black/40 flex justify-center items-center z-50"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+    >
+      <motion.div
+        className="bg-white rounded-2xl p-8 w-11/12 max-w-md shadow-lg"
+        initial={{ scale: 0.9 }}
+        animate={{ scale: 1 }}
+      >
+        <h2 className="text-xl font-bold text-gray-900 mb-4">
+          Edit team for {event.eventName}
+        </h2>
+        <div className="mb-4">
+          <TeamRegistrationForm
+            teamName={teamName}
+            setTeamName={setTeamName}
+            members={members}
+            setMembers={setMembers}
+            limits={limits}
+            errors={errors}
+          />
+        </div>
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-md bg-gray-200 hover:bg-gray-300 transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 rounded-md bg-orange-500 text-white hover:bg-orange-600 transition"
+          >
+            {saving ? "Saving..." : "Save Changes"}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default EditTeamModal;
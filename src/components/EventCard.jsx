@@ -0,0 +1,68 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import {
+  REGISTRATION_LABELS,
+  REGISTRATION_STATES,
+  canRegister,
+  getRegistrationState,
+} from "../utils/registration";
+import { locationLabel } from "../utils/locations";
+
+// date formatting function
+const formatDate = (dateStr) => {
+  return new Date(dateStr).toLocaleDateString("en-US", {
+    weekday: "short",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+// Upcoming event card with a registration call to action for `user`.
+const EventCard = ({ event, index = 0, user, now }) => {
+  const state = getRegistrationState(event, user, now);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 40 }}
+      whileInView={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6, delay: index * 0.1 }}
+      whileHover={{ scale: 1.03 }}
+      className="w-full md:w-[270px] bg-white rounded-2xl shadow-xl hover:shadow-2xl overflow-hidden transition-all duration-300"
+    >
+      <img
+        className="w-full h-40 object-cover"
+        src={event.images?.[0]?.url || "/placeholder.jpg"}
+        alt={event.eventName}
+      />
+      <div className="p-4">
+        <p className="text-sm text-gray-500">{formatDate(event.date)}</p>
+        <h3 className="mt-2 text-lg font-semibold text-gray-800 line-clamp-2">
+          {event.eventName}
+        </h3>
+        <p className="text-gray-600 text-sm mt-1 line-clamp-1">
+          {event.description}
+        </p>
+        <p className="text-xs text-gray-400 mt-1">📍 {locationLabel(event.location)}</p>
+        {state === REGISTRATION_STATES.CLOSING_SOON && (
+          <p className="text-xs text-red-500 font-medium mt-1">Registration closing soon</p>
+        )}
+        <Link
+          to={`/events/${event._id}`}
+          className={`px-5 py-1 inline-block mt-3 text-sm rounded-md transition ${
+            canRegister(state)
+              ? "bg-orange-500 text-white hover:bg-orange-600"
+              : "bg-gray-200 text-gray-600 hover:bg-gray-300"
+          }`}
+        >
+          {canRegister(state) ? "Register" : REGISTRATION_LABELS[state]}
+        </Link>
+      </div>
+    </motion.div>
+  );
+};
+
+export default EventCard;
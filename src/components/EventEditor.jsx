@@ -0,0 +1,483 @@
+import React, { useEffect, useRef, useState } from "react";
+import { FiArrowLeft, FiArrowRight, FiX } from "react-icons/fi";
+import { DEFAULT_TEAM_SIZE } from "../utils/team";
+import { fromDateTimeLocal, toDateTimeLocal } from "../utils/datetime";
+import { getFieldErrors } from "../utils/formErrors";
+import { EVENT_STATUS, EVENT_STATUS_LABELS } from "../utils/eventStatus";
+import { LOCATIONS } from "../utils/locations";
+import { QUESTION_TYPES, validateQuestions } from "../utils/questions";
+import QuestionBuilder from "./QuestionBuilder";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-sm focus:ring-2 focus:ring-orange-400 focus:border-orange-500 outline-none transition";
+
+const toFormState = (event) => ({
+  eventName: event?.eventName || "",
+  eventType: event?.eventType || "",
+  date: toDateTimeLocal(event?.date),
+  registrationDeadline: toDateTimeLocal(event?.registrationDeadline),
+  location: event?.location || "",
+  description: event?.description || "",
+  needMembership: Boolean(event?.needMembership),
+  registrationFee: event?.registrationFee ?? 0,
+  capacity: event?.capacity || "",
+  minTeamSize: event?.minTeamSize ?? DEFAULT_TEAM_SIZE,
+  maxTeamSize: event?.maxTeamSize ?? DEFAULT_TEAM_SIZE,
+  status: event?.status || EVENT_STATUS.PUBLISHED,
+});
+
+// Images already on the event keep their stored object; new ones carry the File.
+const toImageItems = (event) =>
+  (event?.images || []).map((image, idx) => ({
+    key: image._id || image.url || `existing-${idx}`,
+    existing: image,
+    preview: image.url,
+  }));
+
+const validate = (form) => {
+  const errors = {};
+  if (form.eventType === "team" && Number(form.minTeamSize) > Number(form.maxTeamSize)) {
+    errors.maxTeamSize = "Maximum team size cannot be smaller than the minimum.";
+  }
+  if (form.date && form.registrationDeadline && form.registrationDeadline > form.date) {
+    errors.registrationDeadline = "Registration must close before the event starts.";
+  }
+  if (Number(form.registrationFee) < 0) errors.registrationFee = "Fee cannot be negative.";
+  if (form.capacity !== "" && !(Number.isInteger(Number(form.capacity)) && Number(form.capacity) > 0)) {
+    errors.capacity = "Capacity must be a whole number above 0, or empty for no limit.";
+  }
+  return errors;
+};
+
+// Blank dropdown lines are dropped, and only dropdowns keep options.
+const cleanQuestions = (questions) =>
+  questions.map((q) => ({
+    id: q.id,
+    label: q.label.trim(),
+    type: q.type,
+    required: q.required,
+    options:
+      q.type === QUESTION_TYPES.SELECT ? q.options.map((o) => o.trim()).filter(Boolean) : [],
+  }));
+
+// Plain event fields as the API takes them; team sizes only for team events.
+const toFields = (form, questions) => {
+  const { minTeamSize, maxTeamSize, ...rest } = form;
+  return {
+    ...rest,
+    ...(form.eventType === "team" && { minTeamSize, maxTeamSize }),
+    date: fromDateTimeLocal(form.date),
+    registrationDeadline: fromDateTimeLocal(form.registrationDeadline),
+    questions: cleanQuestions(questions),
+  };
+};
+
+/**
+ * Multipart gallery: the new `images` files, and `imageOrder` listing the
+ * final gallery as `{ url }` for a kept image or `{ upload: n }` for the
+ * n-th new file. Null when the event's images were left as they were.
+ */
+const toGallery = (images, event) => {
+  const unchanged =
+    images.every((item) => item.existing) &&
+    images.map((item) => item.existing.url).join("\n") ===
+      (event?.images || []).map((image) => image.url).join("\n");
+  if (unchanged) return null;
+
+  const data = new FormData();
+  let uploads = 0;
+  const order = images.map((item) => {
+    if (item.existing) return { url: item.existing.url };
+    data.append("images", item.file);
+    return { upload: uploads++ };
+  });
+  data.append("imageOrder", JSON.stringify(order));
+  return data;
+};
+
+const Field = ({ label, error, children }) => (
+  <div>
+    <label className="block text-gray-800 font-semibold mb-1 text-sm">{label}</label>
+    {children}
+    {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+  </div>
+);
+
+/**
+ * Every editable event field, shared by AddEvent and ListEvents' update modal.
+ * `onSubmit` receives `{ fields, gallery }` (see toFields / toGallery) and
+ * may reject with an ApiError; its field errors are shown next to the inputs.
+ */
+const EventEditor = ({ event, onSubmit, submitLabel = "Save Event", onCancel }) => {
+  const [form, setForm] = useState(() => toFormState(event));
+  const [images, setImages] = useState(() => toImageItems(event));
+  const [questions, setQuestions] = useState(() => event?.questions || []);
+  const [questionErrors, setQuestionErrors] = useState({});
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  // object URLs for new files are released on removal and on unmount
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
+  useEffect(
+    () => () =>
+      imagesRef.current.forEach((item) => item.file && URL.revokeObjectURL(item.preview)),
+    []
+  );
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+    setErrors((prev) => ({ ...prev, [name]: "" }));
+  };
+
+  const handleImageChange = (e) => {
+    const files = Array.from(e.target.files);
+    setImages((prev) => [
+      ...prev,
+      ...files.map((file) => ({
+        key: `${file.name}-${file.lastModified}-${Math.random()}`,
+        file,
+        preview: URL.createObjectURL(file),
+      })),
+    ]);
+    e.target.value = "";
+  };
+
+  const removeImage = (idx) => {
+    const item = images[idx];
+    if (item.file) URL.revokeObjectURL(item.preview);
+    setImages((prev) => prev.filter((_, i) => i !== idx));
+  };
+
+  const moveImage = (idx, offset) =>
+    setImages((prev) => {
+      const target = idx + offset;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[idx], next[target]] = [next[target], next[idx]];
+      return next;
+    });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError("");
+
+    const found = validate(form);
+    const foundInQuestions = validateQuestions(questions);
+    setErrors(found);
+    setQuestionErrors(foundInQuestions);
+    if (Object.values(found).some(Boolean) || Object.keys(foundInQuestions).length) return;
+
+    setSaving(true);
+    try {
+      await onSubmit({ fields: toFields(form, questions), gallery: toGallery(images, event) });
+    } catch (err) {
+      const fieldErrors = getFieldErrors(err);
+      setErrors(fieldErrors);
+      if (Object.keys(fieldErrors).length === 0) setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const locationOptions =
+    form.location && !LOCATIONS[form.location]
+      ? { ...LOCATIONS, [form.location]: form.location }
+      : LOCATIONS;
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      {formError && (
+        <div className="text-sm text-white bg-red-500 p-2 rounded">{formError}</div>
+      )}
+
+      <Field label="Event Name" error={errors.eventName}>
+        <input
+          type="text"
+          name="eventName"
+          value={form.eventName}
+          onChange={handleChange}
+          required
+          className={inputClass}
+        />
+      </Field>
+
+      <Field label="Event Type" error={errors.eventType}>
+        <select
+          name="eventType"
+          value={form.eventType}
+          onChange={handleChange}
+          required
+          className={`${inputClass} bg-white`}
+        >
+          <option value="">Select Type</option>
+          <option value="solo">Solo</option>
+          <option value="team">Team</option>
+        </select>
+      </Field>
+
+      {form.eventType === "team" && (
+        <div className="grid grid-cols-2 gap-3">
+          <Field label="Min Team Size" error={errors.minTeamSize}>
+            <input
+              type="number"
+              name="minTeamSize"
+              min="1"
+              value={form.minTeamSize}
+              onChange={handleChange}
+              required
+              className={inputClass}
+            />
+          </Field>
+          <Field label="Max Team Size" error={errors.maxTeamSize}>
+            <input
+              type="number"
+              name="maxTeamSize"
+              min={form.minTeamSize || 1}
+              value={form.maxTeamSize}
+              onChange={handleChange}
+              required
+              className={inputClass}
+            />
+          </Field>
+        </div>
+      )}
+
+      <Field label="Date & Time" error={errors.date}>
+        <input
+          type="datetime-local"
+          name="date"
+          value={form.date}
+          onChange={handleChange}
+          required
+          className={inputClass}
+        />
+      </Field>
+
+      <Field label="Registration Deadline (Date & Time)" error={errors.registrationDeadline}>
+        <input
+          type="datetime-local"
+          name="registrationDeadline"
+          value={form.registrationDeadline}
+          onChange={handleChange}
+          required
+          className={inputClass}
+        />
+      </Field>
+
+      <Field label="Location" error={errors.location}>
+        <select
+          name="location"
+          value={form.location}
+          onChange={handleChange}
+          required
+          className={`${inputClass} bg-white`}
+        >
+          <option value="">Select Location</option>
+          {Object.entries(locationOptions).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </Field>
+
+      <Field
+        label="Registration Fee (BDT per participant, 0 if free)"
+        error={errors.registrationFee}
+      >
+        <input
+          type="number"
+          name="registrationFee"
+          min="0"
+          value={form.registrationFee}
+          onChange={handleChange}
+          className={inputClass}
+        />
+      </Field>
+
+      <Field
+        label={`Capacity (${form.eventType === "team" ? "teams" : "participants"}, empty for no limit)`}
+        error={errors.capacity}
+      >
+        <input
+          type="number"
+          name="capacity"
+          min="1"
+          step="1"
+          value={form.capacity}
+          onChange={handleChange}
+          placeholder="Unlimited"
+          className={inputClass}
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Once full, members can join a waitlist and are registered in order as spots open up.
+        </p>
+      </Field>
+
+      <Field label="Description" error={errors.description}>
+        <textarea
+          name="description"
+          value={form.description}
+          onChange={handleChange}
+          required
+          rows="3"
+          className={inputClass}
+        />
+      </Field>
+
+      {/* Images */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Images</label>
+        <div className="flex flex-col items-center justify-center w-full p-4 border-2 border-dashed border-orange-400 rounded-sm cursor-pointer bg-orange-50 hover:bg-orange-100 transition">
+          <input
+            type="file"
+            multiple
+            accept="image/*"
+            onChange={handleImageChange}
+            className="hidden"
+            id={`imageUpload-${event?._id || "new"}`}
+          />
+          <label
+            htmlFor={`imageUpload-${event?._id || "new"}`}
+            className="flex flex-col items-center justify-center cursor-pointer"
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              className="w-10 h-10 text-gray-300 mb-2"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth="2"
+                d="M4 16v1a2 2 0 002 2h12a2 2 0 002-2v-1M12 12v9m0-9l-3 3m3-3l3 3M12 12V3"
+              />
+            </svg>
+            <span className="text-sm text-gray-500 font-medium">Click to add images</span>
+            <span className="text-xs text-gray-500">PNG, JPG up to 5MB</span>
+          </label>
+        </div>
+        {errors.images && <p className="text-xs text-red-600 mt-1">{errors.images}</p>}
+
+        {images.length > 0 && (
+          <div className="grid grid-cols-3 gap-2 mt-3">
+            {images.map((item, idx) => (
+              <div key={item.key} className="relative group">
+                <img
+                  src={item.preview}
+                  alt={`Event image ${idx + 1}`}
+                  className="h-20 w-full object-cover rounded-sm border border-orange-300"
+                />
+                {idx === 0 && (
+                  <span className="absolute top-1 left-1 text-[10px] bg-black/60 text-white px-1 rounded">
+                    Cover
+                  </span>
+                )}
+                <button
+                  type="button"
+                  onClick={() => removeImage(idx)}
+                  className="absolute top-1 right-1 p-0.5 bg-white/90 rounded text-red-600"
+                  aria-label={`Remove image ${idx + 1}`}
+                >
+                  <FiX />
+                </button>
+                <div className="absolute bottom-1 inset-x-1 flex justify-between">
+                  <button
+                    type="button"
+                    onClick={() => moveImage(idx, -1)}
+                    disabled={idx === 0}
+                    className="p-0.5 bg-white/90 rounded disabled:opacity-30"
+                    aria-label={`Move image ${idx + 1} earlier`}
+                  >
+                    <FiArrowLeft />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveImage(idx, 1)}
+                    disabled={idx === images.length - 1}
+                    className="p-0.5 bg-white/90 rounded disabled:opacity-30"
+                    aria-label={`Move image ${idx + 1} later`}
+                  >
+                    <FiArrowRight />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <Field label="Registration Questions" error={errors.questions}>
+        <QuestionBuilder
+          questions={questions}
+          onChange={(next) => {
+            setQuestions(next);
+            setQuestionErrors({});
+          }}
+          errors={questionErrors}
+        />
+      </Field>
+
+      <div className="flex items-center">
+        <input
+          type="checkbox"
+          id={`needMembership-${event?._id || "new"}`}
+          name="needMembership"
+          checked={form.needMembership}
+          onChange={handleChange}
+          className="h-4 w-4 text-orange-500 border-gray-300 rounded-sm focus:ring-orange-400"
+        />
+        <label
+          htmlFor={`needMembership-${event?._id || "new"}`}
+          className="ml-2 text-sm text-gray-700 font-medium"
+        >
+          Membership Required
+        </label>
+      </div>
+
+      <Field label="Status" error={errors.status}>
+        <select
+          name="status"
+          value={form.status}
+          onChange={handleChange}
+          className={`${inputClass} bg-white`}
+        >
+          {Object.entries(EVENT_STATUS_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {form.status === EVENT_STATUS.DRAFT && (
+          <p className="text-xs text-gray-500 mt-1">Drafts are only visible to admins.</p>
+        )}
+      </Field>
+
+      <div className="flex gap-3">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 bg-gray-500 text-white py-2 font-semibold rounded-sm"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex-1 bg-orange-500 text-white py-2 font-semibold rounded-sm hover:bg-orange-600 active:bg-orange-700 transition disabled:opacity-60"
+        >
+          {saving ? "Saving..." : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default EventEditor;
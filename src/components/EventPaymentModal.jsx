@@ -0,0 +1,16 @@
+import React from "react";
+import { paymentApi } from "../api";
+import PaymentModal from "./PaymentModal";
+
+// Checkout for the session user's registration fee of `event`.
+const EventPaymentModal = ({ event, onClose }) => (
+  <PaymentModal
+    description={event.eventName}
+    amount={event.registrationFee}
+    start={(gateway, returnUrl) => paymentApi.startPayment(event._id, { gateway, returnUrl })}
+    context={{ eventId: event._id }}
+    onClose={onClose}
+  />
+);
+
+export default EventPaymentModal;
@@ -0,0 +1,76 @@
+import React from "react";
+import { FaTrophy } from "react-icons/fa";
+
+/**
+ * Results of a completed event as saved from the admin results editor:
+ * `{ standings: [{ rank, name, score }], winners: [{ title, name }], photos: [{ url }] }`.
+ */
+const EventResults = ({ results }) => {
+  const standings = results?.standings || [];
+  const winners = results?.winners || [];
+  const photos = results?.photos || [];
+  if (!standings.length && !winners.length && !photos.length) return null;
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-2xl font-semibold text-gray-900 mb-4">Results</h2>
+
+      {winners.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-6">
+          {winners.map((w, i) => (
+            <div
+              key={i}
+              className="border border-orange-200 bg-orange-50 rounded-xl p-4 text-center"
+            >
+              <FaTrophy className={`mx-auto text-2xl ${i === 0 ? "text-yellow-500" : "text-orange-400"}`} />
+              <p className="mt-2 text-xs uppercase tracking-wide text-gray-500">{w.title}</p>
+              <p className="font-semibold text-gray-800">{w.name}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {standings.length > 0 && (
+        <div className="overflow-x-auto mb-6">
+          <table className="w-full text-sm border">
+            <thead>
+              <tr className="bg-gray-50">
+                <th className="border px-2 py-1 w-16">Rank</th>
+                <th className="border px-2 py-1 text-left">Name</th>
+                <th className="border px-2 py-1">Score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {standings.map((s, i) => (
+                <tr key={i} className={i < 3 ? "font-medium" : ""}>
+                  <td className="border px-2 py-1 text-center">{s.rank ?? i + 1}</td>
+                  <td className="border px-2 py-1">{s.name}</td>
+                  <td className="border px-2 py-1 text-center">{s.score === "" ? "-" : s.score ?? "-"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {photos.length > 0 && (
+        <div>
+          <h3 className="font-semibold text-gray-800 mb-2">From the gallery</h3>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+            {photos.map((photo, i) => (
+              <a key={photo.url || i} href={photo.url} target="_blank" rel="noreferrer">
+                <img
+                  src={photo.url}
+                  alt={`Result photo ${i + 1}`}
+                  className="h-28 w-full object-cover rounded-lg"
+                />
+              </a>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventResults;
@@ -34,6 +34,7 @@ const Footer = () => {
             <li><Link to="/about" className="hover:text-white transition-colors">About</Link></li>
             <li><Link to="/events" className="hover:text-white transition-colors">Events</Link></li>
             <li><Link to="/register" className="hover:text-white transition-colors">Register</Link></li>
+            <li><Link to="/verify" className="hover:text-white transition-colors">Verify a Document</Link></li>
           </ul>
         </motion.div>
 
@@ -1,19 +1,16 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { UserContext } from '../context/UserContext';
+import { galleryApi } from '../api';
 
 const GalleryGrid = () => {
   const [images, setImages] = useState([]);
   const [popupImage, setPopupImage] = useState(null);
-  const { url } = useContext(UserContext);
 
   // Fetch images from API
   useEffect(() => {
     const fetchImages = async () => {
       try {
-        const response = await fetch(url+'/event/fetch_gallery_images'); // replace 'url' with your base API
-        const data = await response.json();
-        console.log('Fetched images:', data);
+        const data = await galleryApi.getGalleryImages();
         if (data.images) {
           // Map to just URLs for simplicity
           setImages(data.images.map(img => img.url));
@@ -0,0 +1,237 @@
+import React, { useEffect, useState } from "react";
+import { paymentApi, userApi } from "../api";
+import {
+  MEMBERSHIP_LABELS,
+  MEMBERSHIP_STATES,
+  MEMBERSHIP_STYLES,
+  formatMembershipDate,
+  getMembershipState,
+} from "../utils/membership";
+import PaymentModal from "./PaymentModal";
+
+const PAYMENT_METHODS = {
+  online: "Pay online now",
+  proof: "I already paid (upload proof)",
+};
+
+const planLabel = (months) => `${months} month${months > 1 ? "s" : ""}`;
+
+// Membership standing on Profile, with the member's own join/renew request.
+const MembershipCard = ({ user }) => {
+  const [applications, setApplications] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [formOpen, setFormOpen] = useState(false);
+  const [duration, setDuration] = useState("");
+  const [method, setMethod] = useState("online");
+  const [proof, setProof] = useState(null);
+  const [transactionId, setTransactionId] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [paying, setPaying] = useState(null); // application awaiting online payment
+
+  const state = getMembershipState(user);
+  const latest = applications[0];
+  const pending = latest?.status === "pending" ? latest : null;
+  const isMember = state === MEMBERSHIP_STATES.ACTIVE || state === MEMBERSHIP_STATES.EXPIRING;
+
+  const fetchApplications = () =>
+    userApi
+      .getMyMembershipApplications()
+      .then((res) => setApplications(res.data || []))
+      .catch(() => setApplications([]));
+
+  useEffect(() => {
+    fetchApplications();
+  }, []);
+
+  const openForm = async () => {
+    setError("");
+    setFormOpen(true);
+    if (plans.length) return;
+    try {
+      const res = await userApi.getMembershipPlans();
+      setPlans(res.data || []);
+      setDuration(String(res.data?.[0]?.durationInMonths || ""));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const plan = plans.find((p) => String(p.durationInMonths) === duration);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!plan) return setError("Please choose a plan.");
+    if (method === "proof" && !proof) return setError("Please upload your payment proof.");
+
+    const formData = new FormData();
+    formData.append("durationInMonths", plan.durationInMonths);
+    formData.append("paymentMethod", method);
+    if (method === "proof") {
+      formData.append("proof", proof);
+      formData.append("transactionId", transactionId.trim());
+    }
+
+    setSubmitting(true);
+    setError("");
+    try {
+      const { data: application } = await userApi.applyForMembership(formData);
+      setFormOpen(false);
+      setProof(null);
+      setTransactionId("");
+      await fetchApplications();
+      if (method === "online") setPaying(application);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold text-gray-800">Membership</h2>
+
+      <div className="mt-3 border p-4 rounded-lg bg-gray-50">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className={`px-3 py-1 text-sm font-medium rounded-full ${MEMBERSHIP_STYLES[state]}`}>
+            {MEMBERSHIP_LABELS[state]}
+          </span>
+          {user.membershipExpiresAt && (
+            <span className="text-sm text-gray-600">
+              {state === MEMBERSHIP_STATES.EXPIRED ? "Expired" : "Expires"} on{" "}
+              {formatMembershipDate(user.membershipExpiresAt)}
+            </span>
+          )}
+        </div>
+
+        {pending && (
+          <p className="mt-3 text-sm text-gray-700">
+            Your request for {planLabel(pending.durationInMonths)} is awaiting approval
+            {pending.paymentMethod === "online" && !pending.paid && " — payment not completed yet"}.
+            {pending.paymentMethod === "online" && !pending.paid && (
+              <button
+                onClick={() => setPaying(pending)}
+                className="ml-2 text-[#FF6900] hover:underline"
+              >
+                Pay now
+              </button>
+            )}
+          </p>
+        )}
+        {latest?.status === "rejected" && (
+          <p className="mt-3 text-sm text-red-600">
+            Your last request was declined{latest.reason ? `: ${latest.reason}` : "."}
+          </p>
+        )}
+
+        {!pending && !formOpen && (
+          <button
+            onClick={openForm}
+            className="mt-3 bg-[#FF6900] text-white px-3 py-1.5 rounded-sm hover:bg-orange-600"
+          >
+            {isMember || state === MEMBERSHIP_STATES.EXPIRED ? "Renew Membership" : "Become a Member"}
+          </button>
+        )}
+
+        {formOpen && (
+          <form onSubmit={handleSubmit} className="mt-4 space-y-3">
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-1">Plan</p>
+              <div className="flex flex-wrap gap-2">
+                {plans.map((p) => (
+                  <label
+                    key={p.durationInMonths}
+                    className={`border rounded px-3 py-2 text-sm cursor-pointer ${
+                      duration === String(p.durationInMonths)
+                        ? "border-orange-500 bg-orange-50"
+                        : "border-gray-300 bg-white"
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="plan"
+                      value={p.durationInMonths}
+                      checked={duration === String(p.durationInMonths)}
+                      onChange={(e) => setDuration(e.target.value)}
+                      className="mr-2"
+                    />
+                    {planLabel(p.durationInMonths)} · ৳{p.fee}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-1">Payment</p>
+              {Object.entries(PAYMENT_METHODS).map(([value, label]) => (
+                <label key={value} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="radio"
+                    name="paymentMethod"
+                    value={value}
+                    checked={method === value}
+                    onChange={() => setMethod(value)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+
+            {method === "proof" && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <input
+                  type="file"
+                  accept="image/*,application/pdf"
+                  onChange={(e) => setProof(e.target.files[0] || null)}
+                  className="text-sm"
+                />
+                <input
+                  type="text"
+                  value={transactionId}
+                  onChange={(e) => setTransactionId(e.target.value)}
+                  placeholder="bKash / bank transaction ID"
+                  className="border rounded px-3 py-2 text-sm"
+                />
+              </div>
+            )}
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => setFormOpen(false)}
+                className="px-3 py-1.5 rounded-sm bg-gray-200 hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={submitting}
+                className="px-3 py-1.5 rounded-sm bg-slate-950 text-white disabled:opacity-50"
+              >
+                {submitting ? "Submitting..." : "Submit Request"}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+
+      {paying && (
+        <PaymentModal
+          title="Pay Membership Dues"
+          description={`Membership, ${planLabel(paying.durationInMonths)}`}
+          amount={paying.fee}
+          start={(gateway, returnUrl) =>
+            paymentApi.startMembershipPayment(paying._id, { gateway, returnUrl })
+          }
+          context={{ applicationId: paying._id }}
+          onClose={() => setPaying(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default MembershipCard;
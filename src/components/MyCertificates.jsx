@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { FiDownload } from "react-icons/fi";
+import { certificateApi } from "../api";
+import { saveBlob } from "../utils/download";
+import { CERTIFICATE_TYPE_LABELS } from "../utils/certificates";
+import { verifyPath } from "../utils/verify";
+
+// Certificates issued to the logged-in member, shown on Profile.
+const MyCertificates = () => {
+  const [certificates, setCertificates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState("");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    certificateApi
+      .getMyCertificates()
+      .then((res) => setCertificates(res.data || []))
+      .catch((error) => setMessage(error.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleDownload = async (serial) => {
+    setDownloading(serial);
+    setMessage("");
+    try {
+      const { blob, filename } = await certificateApi.downloadCertificate(serial);
+      saveBlob(blob, filename);
+    } catch (error) {
+      setMessage(error.message);
+    } finally {
+      setDownloading("");
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold text-gray-800">Certificates</h2>
+
+      {message && <p className="mt-2 text-sm text-red-600">{message}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 mt-2">Loading your certificates...</p>
+      ) : certificates.length === 0 ? (
+        <p className="text-sm text-gray-500 mt-2">No certificates issued yet.</p>
+      ) : (
+        <div className="mt-4 space-y-3">
+          {certificates.map((c) => (
+            <div
+              key={c.serial}
+              className="border p-4 rounded-lg bg-gray-50 flex flex-col sm:flex-row sm:items-center justify-between gap-2"
+            >
+              <div>
+                <p className="font-medium text-gray-800">{c.eventName}</p>
+                <p className="text-xs text-gray-500">
+                  {CERTIFICATE_TYPE_LABELS[c.type]}
+                  {c.achievement && ` — ${c.achievement}`} · Issued{" "}
+                  {new Date(c.issuedAt).toLocaleDateString()}
+                </p>
+                <p className="text-xs text-gray-400">
+                  Serial:{" "}
+                  <Link to={verifyPath(c.serial)} className="font-mono hover:text-[#FF6900]">
+                    {c.serial}
+                  </Link>
+                </p>
+              </div>
+              <button
+                onClick={() => handleDownload(c.serial)}
+                disabled={downloading === c.serial}
+                className="self-start sm:self-center inline-flex items-center gap-1 px-3 py-1 text-sm border rounded hover:bg-white disabled:opacity-50"
+              >
+                <FiDownload /> {downloading === c.serial ? "Downloading..." : "Download"}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyCertificates;
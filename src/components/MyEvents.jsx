@@ -0,0 +1,207 @@
+import React, { useContext, useState } from "react";
+import { Link } from "react-router-dom";
+import { FiDownload } from "react-icons/fi";
+import { UserContext } from "../context/UserContext";
+import { eventApi, paymentApi } from "../api";
+import useNow from "../hooks/useNow";
+import { canChangeRegistration, getUserRegistrations } from "../utils/registration";
+import { downloadConfirmation } from "../utils/confirmation";
+import { downloadReceipt } from "../utils/receipt";
+import EditTeamModal from "./EditTeamModal";
+import CheckInQr from "./CheckInQr";
+import EventPaymentModal from "./EventPaymentModal";
+import { isConfirmed } from "../utils/checkin";
+import { isPastEvent } from "../utils/eventStatus";
+
+const formatDate = (dateStr) =>
+  new Date(dateStr).toLocaleDateString("en-US", {
+    weekday: "short",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const memberLabel = (m) => m.Name || m.name || m.email || m.classroll;
+
+// Withdrawing would give up a seat that was paid for, with no refund flow behind it.
+const hasPaidFee = (registration) =>
+  registration.paid && Number(registration.event.registrationFee) > 0;
+
+// The logged-in member's solo and team registrations, shown on Profile.
+const MyEvents = () => {
+  const { events, eventLoading, currentUser, getAllEvents } = useContext(UserContext);
+  const now = useNow(60 * 1000);
+  const [withdrawing, setWithdrawing] = useState("");
+  const [message, setMessage] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [qrFor, setQrFor] = useState("");
+  const [paying, setPaying] = useState(null);
+  const [fetchingReceipt, setFetchingReceipt] = useState("");
+
+  const registrations = getUserRegistrations(events, currentUser);
+
+  const handleWithdraw = async (registration) => {
+    const what =
+      registration.type === "team"
+        ? `team "${registration.team.teamName}"`
+        : "your registration";
+    if (!window.confirm(`Withdraw ${what} from ${registration.event.eventName}?`)) return;
+
+    setWithdrawing(registration.event._id);
+    setMessage("");
+    try {
+      await eventApi.withdrawRegistration(registration.event._id);
+      await getAllEvents();
+    } catch (error) {
+      setMessage(error.message);
+    } finally {
+      setWithdrawing("");
+    }
+  };
+
+  const handleReceipt = async (registration) => {
+    setFetchingReceipt(registration.paymentId);
+    setMessage("");
+    try {
+      const { data: receipt } = await paymentApi.getReceipt(registration.paymentId);
+      downloadReceipt(receipt);
+    } catch (error) {
+      setMessage(error.message);
+    } finally {
+      setFetchingReceipt("");
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold text-gray-800">My Events</h2>
+
+      {message && <p className="mt-2 text-sm text-red-600">{message}</p>}
+
+      {eventLoading ? (
+        <p className="text-sm text-gray-500 mt-2">Loading your events...</p>
+      ) : registrations.length === 0 ? (
+        <p className="text-sm text-gray-500 mt-2">
+          You haven't registered for any events yet.{" "}
+          <Link to="/events" className="text-[#FF6900]">Browse events</Link>
+        </p>
+      ) : (
+        <div className="mt-4 space-y-3">
+          {registrations.map((r) => (
+            <div key={`${r.event._id}-${r.team?._id || "solo"}`} className="border p-4 rounded-lg bg-gray-50">
+              <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-2">
+                <div>
+                  <Link to={`/events/${r.event._id}`} className="font-medium text-gray-800 hover:text-[#FF6900]">
+                    {r.event.eventName}
+                  </Link>
+                  <p className="text-xs text-gray-500">{formatDate(r.event.date)}</p>
+                </div>
+                <span
+                  className={`self-start px-2 py-0.5 text-xs rounded ${
+                    r.paid ? "bg-green-100 text-green-800" : "bg-yellow-100 text-yellow-800"
+                  }`}
+                >
+                  {r.paid ? "Paid" : "Payment Pending"}
+                </span>
+              </div>
+
+              {r.type === "team" && (
+                <div className="mt-2 text-sm text-gray-600">
+                  <p>Team: <span className="font-medium">{r.team.teamName}</span></p>
+                  <p className="text-xs">
+                    Teammates: {r.teammates.map(memberLabel).join(", ") || "-"}
+                  </p>
+                </div>
+              )}
+
+              {qrFor === r.event._id && (
+                <div className="mt-3 flex flex-col items-center gap-1">
+                  <CheckInQr
+                    event={r.event}
+                    member={{ ...r.entry, classroll: r.entry.classroll ?? currentUser.classroll }}
+                  />
+                  <p className="text-xs text-gray-500">Show this at the venue to check in.</p>
+                </div>
+              )}
+
+              <div className="mt-3 flex flex-wrap gap-2 text-sm">
+                <button
+                  onClick={() => downloadConfirmation(r, currentUser)}
+                  className="inline-flex items-center gap-1 px-3 py-1 border rounded hover:bg-white"
+                >
+                  <FiDownload /> Confirmation
+                </button>
+                {r.paid && r.paymentId && (
+                  <button
+                    onClick={() => handleReceipt(r)}
+                    disabled={fetchingReceipt === r.paymentId}
+                    className="inline-flex items-center gap-1 px-3 py-1 border rounded hover:bg-white disabled:opacity-50"
+                  >
+                    <FiDownload /> Receipt
+                  </button>
+                )}
+                {!r.paid && Number(r.event.registrationFee) > 0 && !isPastEvent(r.event, now) && (
+                  <button
+                    onClick={() => setPaying(r.event)}
+                    className="px-3 py-1 rounded bg-orange-500 text-white hover:bg-orange-600"
+                  >
+                    Pay ৳{r.event.registrationFee}
+                  </button>
+                )}
+                {isConfirmed(r.event, r.paid) && !isPastEvent(r.event, now) && (
+                  <button
+                    onClick={() => setQrFor(qrFor === r.event._id ? "" : r.event._id)}
+                    className="px-3 py-1 border rounded hover:bg-white"
+                  >
+                    {qrFor === r.event._id ? "Hide QR" : "Check-in QR"}
+                  </button>
+                )}
+                {r.type === "team" && canChangeRegistration(r.event, now) && (
+                  <button
+                    onClick={() => setEditing(r)}
+                    className="px-3 py-1 border rounded hover:bg-white"
+                  >
+                    Edit Team
+                  </button>
+                )}
+                {canChangeRegistration(r.event, now) && !hasPaidFee(r) && (
+                  <button
+                    onClick={() => handleWithdraw(r)}
+                    disabled={withdrawing === r.event._id}
+                    className="px-3 py-1 rounded text-red-600 border border-red-200 hover:bg-red-50 disabled:opacity-50"
+                  >
+                    {withdrawing === r.event._id ? "Withdrawing..." : "Withdraw"}
+                  </button>
+                )}
+              </div>
+              {canChangeRegistration(r.event, now) && hasPaidFee(r) && (
+                <p className="mt-2 text-xs text-gray-500">
+                  Paid registrations can't be withdrawn here, as the fee isn't refunded
+                  automatically. Contact the organizers to cancel.
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {paying && <EventPaymentModal event={paying} onClose={() => setPaying(null)} />}
+
+      {editing && (
+        <EditTeamModal
+          event={editing.event}
+          team={editing.team}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            getAllEvents();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default MyEvents;
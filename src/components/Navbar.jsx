@@ -6,21 +6,12 @@ import { UserContext } from "../context/UserContext";
 import { motion, AnimatePresence } from "framer-motion";
 
 const Navbar = () => {
-  const { handleLogout, isLogged, setIsLogged } = useContext(UserContext);
+  const { handleLogout, isLogged } = useContext(UserContext);
 
-  const token = localStorage.getItem("token");
   const [isOpen, setIsOpen] = useState(false);
   const [isScrollingDown, setIsScrollingDown] = useState(false);
   const [lastScrollY, setLastScrollY] = useState(window.scrollY);
 
-  useEffect(() => {
-    if (token) {
-      setIsLogged(true);
-    } else {
-      setIsLogged(false);
-    }
-  }, [token, isLogged]);
-
   const handleClick = () => {
     setIsOpen(!isOpen);
   };
@@ -101,6 +92,9 @@ const Navbar = () => {
               <NavLink to="/contest" className={`hover:text-orange-500 ${isScrollingDown ? "text-black" : "text-white"}`}>
                 Contest Tracker
               </NavLink>
+              <NavLink to="/calendar" className={`hover:text-orange-500 ${isScrollingDown ? "text-black" : "text-white"}`}>
+                Calendar
+              </NavLink>
               {isLogged && (
                 <NavLink to="/roadmaps" className={`hover:text-orange-500 ${isScrollingDown ? "text-black" : "text-white"}`}>
                   Roadmaps
@@ -176,6 +170,7 @@ const Navbar = () => {
                 <NavLink to="/about" className="hover:text-orange-400 text-white w-full text-center py-2 rounded-lg">About</NavLink>
                 <NavLink to="/events" className="hover:text-orange-400 text-white w-full text-center py-2 rounded-lg">Events</NavLink>
                 <NavLink to="/contest" className="hover:text-orange-400 text-white w-full text-center py-2 rounded-lg">Contest Tracker</NavLink>
+                <NavLink to="/calendar" className="hover:text-orange-400 text-white w-full text-center py-2 rounded-lg">Calendar</NavLink>
                 {isLogged && <NavLink to="/roadmaps" className="hover:text-orange-400 text-white w-full text-center py-2 rounded-lg">Roadmaps</NavLink>}
                 {isLogged && <NavLink to="/resources" className="hover:text-orange-400 text-white w-full text-center py-2 rounded-lg">Study Resources</NavLink>}
                 <NavLink to="/contact" className="hover:text-orange-400 text-white w-full text-center py-2 rounded-lg">Contact</NavLink>
@@ -0,0 +1,34 @@
+import React, { useContext } from "react";
+import { Navigate, Outlet } from "react-router-dom";
+import { UserContext } from "../context/UserContext";
+import {
+  ONBOARDING_STEPS,
+  STEP_ROUTES,
+  getOnboardingStep,
+} from "../utils/onboarding";
+
+// Keeps a logged-in user on their current onboarding step. Must sit inside
+// RequireAuth so the user is loaded.
+//
+// Without `step` it guards regular member pages, which need a finished
+// onboarding. With `step` it guards that step's own page, which is only
+// reachable once the previous steps are done; add-information stays open
+// afterwards so members can update their profile.
+const OnboardingGate = ({ step, children }) => {
+  const { currentUser } = useContext(UserContext);
+  const current = getOnboardingStep(currentUser);
+
+  const allowed = step
+    ? step === current ||
+      (step === ONBOARDING_STEPS.ADD_INFORMATION &&
+        current === ONBOARDING_STEPS.COMPLETE)
+    : current === ONBOARDING_STEPS.COMPLETE;
+
+  if (!allowed) {
+    return <Navigate to={STEP_ROUTES[current] || "/profile"} replace />;
+  }
+
+  return children || <Outlet />;
+};
+
+export default OnboardingGate;
@@ -0,0 +1,42 @@
+import React from "react";
+
+// Prev / numbered pages / next. Renders nothing for a single page.
+const Pagination = ({ page, totalPages, onChange }) => {
+  if (totalPages <= 1) return null;
+
+  const pages = Array.from({ length: totalPages }, (_, i) => i + 1);
+  const buttonClass = "px-3 py-1 rounded-md border text-sm transition disabled:opacity-40";
+
+  return (
+    <nav className="mt-10 flex flex-wrap items-center justify-center gap-2" aria-label="Pagination">
+      <button
+        onClick={() => onChange(page - 1)}
+        disabled={page <= 1}
+        className={`${buttonClass} hover:bg-gray-100`}
+      >
+        Prev
+      </button>
+      {pages.map((p) => (
+        <button
+          key={p}
+          onClick={() => onChange(p)}
+          aria-current={p === page ? "page" : undefined}
+          className={`${buttonClass} ${
+            p === page ? "bg-orange-500 border-orange-500 text-white" : "hover:bg-gray-100"
+          }`}
+        >
+          {p}
+        </button>
+      ))}
+      <button
+        onClick={() => onChange(page + 1)}
+        disabled={page >= totalPages}
+        className={`${buttonClass} hover:bg-gray-100`}
+      >
+        Next
+      </button>
+    </nav>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import {
+  availableGateways,
+  callbackUrl,
+  rememberPayment,
+} from "../utils/paymentGateways";
+
+/**
+ * Lets a member pick a gateway and sends them off to pay. `start(gatewayId,
+ * returnUrl)` opens the payment on the backend and resolves to its session;
+ * `context` is kept with it for the callback page (e.g. `{ eventId }`).
+ */
+const PaymentModal = ({ title = "Pay Registration Fee", description, amount, start, context, onClose }) => {
+  const gateways = availableGateways();
+  const [gatewayId, setGatewayId] = useState(gateways[0]?.id || "");
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handlePay = async () => {
+    const gateway = gateways.find((g) => g.id === gatewayId);
+    if (!gateway) return;
+    setStarting(true);
+    setError("");
+    try {
+      const returnUrl = callbackUrl(gateway.id);
+      const { data: session } = await start(gateway.id, returnUrl);
+      rememberPayment({ ...context, paymentId: session.paymentId, gateway: gateway.id });
+      gateway.checkout(session, { returnUrl });
+    } catch (err) {
+      setError(err.message);
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex justify-center items-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-11/12 max-w-md shadow-lg">
+        <h2 className="text-xl font-bold text-gray-900 mb-1">{title}</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {description} · <span className="font-semibold">৳{amount}</span>
+        </p>
+
+        <div className="space-y-2 mb-4">
+          {gateways.map((g) => (
+            <label
+              key={g.id}
+              className={`flex items-center gap-3 border rounded-lg px-3 py-2 cursor-pointer ${
+                gatewayId === g.id ? "border-orange-500 bg-orange-50" : "border-gray-200"
+              }`}
+            >
+              <input
+                type="radio"
+                name="gateway"
+                value={g.id}
+                checked={gatewayId === g.id}
+                onChange={() => setGatewayId(g.id)}
+              />
+              {g.logo && <img src={g.logo} alt="" className="h-6 w-auto" />}
+              <span className="text-sm text-gray-800">{g.label}</span>
+            </label>
+          ))}
+        </div>
+
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            disabled={starting}
+            className="px-4 py-2 rounded-md bg-gray-200 hover:bg-gray-300 transition"
+          >
+            Pay Later
+          </button>
+          <button
+            onClick={handlePay}
+            disabled={starting || !gatewayId}
+            className="px-4 py-2 rounded-md bg-orange-500 text-white hover:bg-orange-600 transition disabled:opacity-50"
+          >
+            {starting ? "Redirecting..." : `Pay ৳${amount}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PaymentModal;
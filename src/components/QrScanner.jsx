@@ -0,0 +1,102 @@
+import React, { useEffect, useRef, useState } from "react";
+import jsQR from "jsqr";
+
+const SCAN_INTERVAL = 400;
+// the same code held in front of the camera is only reported once per window
+const REPEAT_WINDOW = 3000;
+
+const isSupported = () => Boolean(navigator.mediaDevices?.getUserMedia);
+
+// Resolves to the decoded text of the first QR code in the current video
+// frame, or "" when there is none.
+const createDecoder = () => {
+  if ("BarcodeDetector" in window) {
+    const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+    return async (video) => (await detector.detect(video))[0]?.rawValue || "";
+  }
+
+  // Desktop Chrome/Edge on Windows and Linux have no BarcodeDetector, so
+  // frames are copied to a canvas and decoded with jsQR instead.
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  return async (video) => {
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const frame = context.getImageData(0, 0, canvas.width, canvas.height);
+    return jsQR(frame.data, frame.width, frame.height)?.data || "";
+  };
+};
+
+/**
+ * Reads QR codes from the device camera and calls `onScan(text)` for each
+ * new code. Uses the browser's BarcodeDetector where there is one.
+ */
+const QrScanner = ({ onScan }) => {
+  const videoRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  const [error, setError] = useState("");
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    if (!isSupported()) return undefined;
+
+    let stream;
+    let timer;
+    let stopped = false;
+    let last = { text: "", at: 0 };
+    const decode = createDecoder();
+
+    const scan = async () => {
+      const video = videoRef.current;
+      if (stopped || !video || video.readyState < 2) return;
+      try {
+        const text = await decode(video);
+        const now = Date.now();
+        if (text && (text !== last.text || now - last.at > REPEAT_WINDOW)) {
+          last = { text, at: now };
+          onScanRef.current(text);
+        }
+      } catch {
+        // a frame that can't be decoded is simply skipped
+      }
+    };
+
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: "environment" } })
+      .then((media) => {
+        if (stopped) {
+          media.getTracks().forEach((t) => t.stop());
+          return;
+        }
+        stream = media;
+        videoRef.current.srcObject = media;
+        videoRef.current.play();
+        timer = setInterval(scan, SCAN_INTERVAL);
+      })
+      .catch(() => setError("Camera access was denied or no camera was found."));
+
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      stream?.getTracks().forEach((t) => t.stop());
+    };
+  }, []);
+
+  if (!isSupported()) {
+    return (
+      <p className="text-sm text-gray-500">
+        This browser can't use the camera. Enter class rolls manually instead.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <video ref={videoRef} muted playsInline className="w-full max-w-sm rounded-lg bg-black" />
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default QrScanner;
@@ -0,0 +1,114 @@
+import React from "react";
+import { FiArrowDown, FiArrowUp, FiPlusCircle, FiTrash2 } from "react-icons/fi";
+import { QUESTION_TYPES, QUESTION_TYPE_LABELS, newQuestion } from "../utils/questions";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-sm focus:ring-2 focus:ring-orange-400 focus:border-orange-500 outline-none transition";
+
+// Form builder for the custom questions an event asks on registration.
+const QuestionBuilder = ({ questions, onChange, errors = {} }) => {
+  const update = (id, changes) =>
+    onChange(questions.map((q) => (q.id === id ? { ...q, ...changes } : q)));
+
+  const move = (index, delta) => {
+    const next = [...questions];
+    [next[index], next[index + delta]] = [next[index + delta], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-3">
+      {questions.length === 0 && (
+        <p className="text-xs text-gray-500">
+          Registration only asks for a name (solo) or team details. Add questions to collect more.
+        </p>
+      )}
+
+      {questions.map((q, idx) => (
+        <div key={q.id} className="border rounded p-3 space-y-2 bg-gray-50">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={q.label}
+              onChange={(e) => update(q.id, { label: e.target.value })}
+              placeholder={`Question ${idx + 1}, e.g. Will you bring a laptop?`}
+              className={inputClass}
+            />
+            <select
+              value={q.type}
+              onChange={(e) => update(q.id, { type: e.target.value })}
+              className="border border-gray-300 rounded-sm px-2 bg-white text-sm"
+            >
+              {Object.values(QUESTION_TYPES).map((type) => (
+                <option key={type} value={type}>
+                  {QUESTION_TYPE_LABELS[type]}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {q.type === QUESTION_TYPES.SELECT && (
+            <textarea
+              value={q.options.join("\n")}
+              onChange={(e) => update(q.id, { options: e.target.value.split("\n") })}
+              placeholder="One option per line"
+              rows="3"
+              className={inputClass}
+            />
+          )}
+
+          <div className="flex items-center justify-between text-sm">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={q.required}
+                onChange={(e) => update(q.id, { required: e.target.checked })}
+              />
+              Required
+            </label>
+            <div className="flex gap-1">
+              <button
+                type="button"
+                onClick={() => move(idx, -1)}
+                disabled={idx === 0}
+                className="p-1 border rounded bg-white disabled:opacity-40"
+                aria-label="Move question up"
+              >
+                <FiArrowUp />
+              </button>
+              <button
+                type="button"
+                onClick={() => move(idx, 1)}
+                disabled={idx === questions.length - 1}
+                className="p-1 border rounded bg-white disabled:opacity-40"
+                aria-label="Move question down"
+              >
+                <FiArrowDown />
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange(questions.filter((item) => item.id !== q.id))}
+                className="p-1 border rounded bg-white text-red-500"
+                aria-label="Remove question"
+              >
+                <FiTrash2 />
+              </button>
+            </div>
+          </div>
+
+          {errors[q.id] && <p className="text-xs text-red-600">{errors[q.id]}</p>}
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => onChange([...questions, newQuestion()])}
+        className="text-sm inline-flex items-center gap-1 px-3 py-1 bg-green-50 border rounded hover:bg-green-100"
+      >
+        <FiPlusCircle /> Add question
+      </button>
+    </div>
+  );
+};
+
+export default QuestionBuilder;
@@ -0,0 +1,26 @@
+import React from "react";
+import { describeHistory } from "../utils/registration";
+
+// Audit trail of a solo or team registration, as kept by the backend.
+const RegistrationHistory = ({ registration }) => {
+  const entries = describeHistory(registration);
+  if (entries.length === 0) return null;
+
+  return (
+    <details className="text-xs text-gray-600">
+      <summary className="cursor-pointer select-none">History ({entries.length})</summary>
+      <ul className="mt-1 space-y-0.5 pl-3 border-l">
+        {entries.map((entry) => (
+          <li key={entry.key}>
+            <span className="text-gray-400">
+              {entry.at ? new Date(entry.at).toLocaleString() : "-"}
+            </span>{" "}
+            {entry.text}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default RegistrationHistory;
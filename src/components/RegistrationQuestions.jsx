@@ -0,0 +1,71 @@
+import React from "react";
+import { QUESTION_TYPES } from "../utils/questions";
+
+const inputClass =
+  "border border-gray-300 rounded-md px-4 py-2 w-full focus:outline-none focus:ring-2 focus:ring-orange-500";
+
+// An event's custom questions inside the registration modal.
+const RegistrationQuestions = ({ questions = [], answers, onChange, errors = {} }) => {
+  if (questions.length === 0) return null;
+
+  const set = (id, value) => onChange({ ...answers, [id]: value });
+
+  return (
+    <div className="space-y-3 mb-4">
+      {questions.map((q) => (
+        <div key={q.id}>
+          {q.type === QUESTION_TYPES.CHECKBOX ? (
+            <label className="flex items-center gap-2 text-sm text-gray-800">
+              <input
+                type="checkbox"
+                checked={answers[q.id] === true}
+                onChange={(e) => set(q.id, e.target.checked)}
+              />
+              {q.label}
+              {q.required && <span className="text-red-500">*</span>}
+            </label>
+          ) : (
+            <>
+              <label className="block text-sm font-medium text-gray-800 mb-1">
+                {q.label}
+                {q.required && <span className="text-red-500"> *</span>}
+              </label>
+              {q.type === QUESTION_TYPES.SELECT && (
+                <select
+                  value={answers[q.id] || ""}
+                  onChange={(e) => set(q.id, e.target.value)}
+                  className={`${inputClass} bg-white`}
+                >
+                  <option value="">Select an option</option>
+                  {q.options.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {q.type === QUESTION_TYPES.FILE && (
+                <input
+                  type="file"
+                  onChange={(e) => set(q.id, e.target.files[0] || null)}
+                  className="text-sm"
+                />
+              )}
+              {q.type === QUESTION_TYPES.TEXT && (
+                <input
+                  type="text"
+                  value={answers[q.id] || ""}
+                  onChange={(e) => set(q.id, e.target.value)}
+                  className={inputClass}
+                />
+              )}
+            </>
+          )}
+          {errors[q.id] && <p className="text-xs text-red-600 mt-1">{errors[q.id]}</p>}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RegistrationQuestions;
@@ -0,0 +1,41 @@
+import React, { useContext } from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { HashLoader } from "react-spinners";
+import { UserContext } from "../context/UserContext";
+
+// Renders its children (or nested routes) only for a logged-in user.
+// Anonymous visitors are sent to /login with the page they wanted in state.
+const RequireAuth = ({ children }) => {
+  const location = useLocation();
+  const { isLogged, currentUser, userError, retryUser } = useContext(UserContext);
+
+  if (!isLogged) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (userError) {
+    return (
+      <div className="min-h-screen flex flex-col gap-3 justify-center items-center">
+        <p className="text-red-500">{userError}</p>
+        <button
+          onClick={retryUser}
+          className="bg-slate-950 text-white px-3 py-2 rounded-sm"
+        >
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  if (!currentUser) {
+    return (
+      <div className="min-h-screen w-full flex justify-center items-center text-center py-10 text-lg">
+        <HashLoader color="#FF6900" />
+      </div>
+    );
+  }
+
+  return children || <Outlet />;
+};
+
+export default RequireAuth;
@@ -0,0 +1,22 @@
+import React, { useContext } from "react";
+import { Outlet } from "react-router-dom";
+import RequireAuth from "./RequireAuth";
+import Forbidden from "../pages/Forbidden";
+import { UserContext } from "../context/UserContext";
+import { hasRole } from "../utils/roles";
+
+const RoleGate = ({ roles, children }) => {
+  const { currentUser } = useContext(UserContext);
+
+  if (!hasRole(currentUser, roles)) return <Forbidden />;
+  return children || <Outlet />;
+};
+
+// Same as RequireAuth, plus a 403 page for users outside `roles`.
+const RequireRole = ({ roles, children }) => (
+  <RequireAuth>
+    <RoleGate roles={roles}>{children}</RoleGate>
+  </RequireAuth>
+);
+
+export default RequireRole;
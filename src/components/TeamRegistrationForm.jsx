@@ -0,0 +1,151 @@
+import React from "react";
+import { FiPlusCircle, FiTrash2 } from "react-icons/fi";
+import { userApi } from "../api";
+import { emptyMember } from "../utils/team";
+
+const inputClass =
+  "border border-gray-300 rounded-md px-4 py-2 w-full focus:outline-none focus:ring-2 focus:ring-orange-500";
+
+// Controlled team roster: a team name plus `limits.min`..`limits.max` member
+// rows. Each row takes an email, or a class roll that is looked up to fill
+// the email from the member's pcIST account.
+const TeamRegistrationForm = ({
+  teamName,
+  setTeamName,
+  members,
+  setMembers,
+  limits,
+  errors,
+}) => {
+  const updateMember = (id, patch) =>
+    setMembers((prev) => prev.map((m) => (m.id === id ? { ...m, ...patch } : m)));
+
+  const addMember = () => {
+    if (members.length < limits.max) setMembers((prev) => [...prev, emptyMember()]);
+  };
+
+  const removeMember = (id) => {
+    if (members.length > limits.min) setMembers((prev) => prev.filter((m) => m.id !== id));
+  };
+
+  // A removed row is simply not found again, and a roll edited mid-lookup
+  // keeps its own (cleared) state instead of the stale result.
+  const finishLookup = (id, roll, patch) =>
+    setMembers((prev) =>
+      prev.map((m) =>
+        m.id === id && m.roll.trim() === roll ? { ...m, ...patch, lookingUp: false } : m
+      )
+    );
+
+  const lookupMember = async (member) => {
+    const roll = member.roll.trim();
+    if (!roll) return;
+
+    updateMember(member.id, { lookingUp: true, lookupError: "" });
+    try {
+      const account = await userApi.lookupMemberByRoll(roll);
+      finishLookup(member.id, roll, { account, email: account.email });
+    } catch (error) {
+      finishLookup(member.id, roll, {
+        account: null,
+        lookupError:
+          error.status === 404 ? "No pcIST account with this roll." : error.message,
+      });
+    }
+  };
+
+  // A new roll drops the previous lookup, including the email it filled in.
+  const changeRoll = (member, roll) =>
+    updateMember(member.id, {
+      roll,
+      lookupError: "",
+      lookingUp: false,
+      account: null,
+      ...(member.account && { email: "" }),
+    });
+
+  return (
+    <>
+      <input
+        type="text"
+        placeholder="Enter team name"
+        value={teamName}
+        onChange={(e) => setTeamName(e.target.value)}
+        className={`${inputClass} mb-1`}
+      />
+      {errors?.teamName && <p className="text-xs text-red-600 mb-2">{errors.teamName}</p>}
+
+      <p className="text-xs text-gray-500 mt-2 mb-2">
+        {limits.min === limits.max
+          ? `${limits.min} members per team`
+          : `${limits.min}–${limits.max} members per team`}
+      </p>
+
+      <div className="space-y-3 max-h-[50vh] overflow-y-auto pr-1">
+        {members.map((member, idx) => (
+          <div key={member.id} className="border rounded-md p-2">
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-xs font-medium text-gray-600">Member {idx + 1}</span>
+              {members.length > limits.min && (
+                <button
+                  type="button"
+                  onClick={() => removeMember(member.id)}
+                  className="p-1 text-red-600 hover:bg-red-50 rounded"
+                  aria-label={`Remove member ${idx + 1}`}
+                >
+                  <FiTrash2 />
+                </button>
+              )}
+            </div>
+            <input
+              type="email"
+              placeholder={`Member ${idx + 1} Email`}
+              value={member.email}
+              onChange={(e) => updateMember(member.id, { email: e.target.value, account: null })}
+              className={`${inputClass} mb-1`}
+            />
+            <div className="flex gap-2">
+              <input
+                type="number"
+                placeholder="or find by class roll"
+                value={member.roll}
+                onChange={(e) => changeRoll(member, e.target.value)}
+                className="border border-gray-300 rounded-md px-3 py-1 w-full text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
+              />
+              <button
+                type="button"
+                onClick={() => lookupMember(member)}
+                disabled={member.lookingUp || !member.roll}
+                className="px-3 py-1 text-sm rounded-md bg-gray-200 hover:bg-gray-300 transition disabled:opacity-50"
+              >
+                {member.lookingUp ? "..." : "Find"}
+              </button>
+            </div>
+            {member.account && (
+              <p className="text-xs text-green-700 mt-1">✓ {member.account.name}</p>
+            )}
+            {member.lookupError && (
+              <p className="text-xs text-red-600 mt-1">{member.lookupError}</p>
+            )}
+            {errors?.members[idx] && (
+              <p className="text-xs text-red-600 mt-1">{errors.members[idx]}</p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {members.length < limits.max && (
+        <button
+          type="button"
+          onClick={addMember}
+          className="mt-2 text-xs inline-flex items-center gap-1 px-2 py-1 bg-green-50 border rounded hover:bg-green-100"
+        >
+          <FiPlusCircle /> Add member
+        </button>
+      )}
+      {errors?.form && <p className="text-xs text-red-600 mt-2">{errors.form}</p>}
+    </>
+  );
+};
+
+export default TeamRegistrationForm;
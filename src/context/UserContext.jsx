@@ -1,17 +1,18 @@
 import axios from "axios";
 import { createContext, useEffect, useRef, useState } from "react";
+import { clearSession, eventApi, getToken, saveSession, setUnauthorizedHandler, userApi } from "../api";
+import { tokenExpiry } from "../utils/jwt";
+
+// setTimeout overflows past ~24.8 days, so long expiries are re-checked in steps
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
 
 export const UserContext = createContext();
 
 const UserContextProvider = (props) => {
-	const url = import.meta.env.VITE_BACKEND_URL;
 	const upcoming_contest_url = "https://clist.by/api/v4/contest/";
 	const clistApiKey = import.meta.env.VITE_CLIST_API_KEY;
 
-	const [tokenCon, setTokenCon] = useState(false);
 	const didSendCode = useRef(false); // <-- flag to prevent double send
-	const [isLogged, setIsLogged] = useState(false);
-	const token = localStorage.getItem('token');
 	
 	// online contest tracking
 	const [contests, setContests] = useState([]);
@@ -68,22 +69,17 @@ const UserContextProvider = (props) => {
 
 	const getAllEvents = async () => {
 		try {
-			const response = await axios.get(`${url}/event/get_all_event`);
+			const data = await eventApi.getAllEvents();
 
-			if (response.status === 200) {
 			// merge soloEvents and teamEvents into one array
 			const allEvents = [
-				...response.data.soloEvents,
-				...response.data.teamEvents,
+				...data.soloEvents,
+				...data.teamEvents,
 			];
 
 			setEvents(allEvents);
-			setSoloEvents(response.data.soloEvents);
-			setTeamEvents(response.data.teamEvents);
-			// console.log(allEvents);
-			} else {
-			setGetEventMessage("Error getting data");
-			}
+			setSoloEvents(data.soloEvents);
+			setTeamEvents(data.teamEvents);
 			setEventLoading(false);
 		} catch (error) {
 			setEventLoading(false);
@@ -96,19 +92,119 @@ const UserContextProvider = (props) => {
 		getAllEvents();
 	}, [])
 
+	// session: the stored token plus the user document it belongs to
+	// (name, slug, role, membership, is_email_verified, ...)
+	const [token, setToken] = useState(getToken);
+	const [currentUser, setCurrentUser] = useState(null);
+	const [userError, setUserError] = useState('');
+	const userRequest = useRef(null);
+	const isLogged = Boolean(token);
+
+	// fetches the user once per token; pass `force` after editing the profile
+	const loadCurrentUser = (force = false) => {
+		const sessionToken = getToken();
+		if (force || userRequest.current?.token !== sessionToken) {
+			const promise = userApi.getUserData()
+				.then((user) => {
+					if (userRequest.current?.promise === promise) setCurrentUser(user);
+					return user;
+				})
+				.catch((error) => {
+					if (userRequest.current?.promise === promise) {
+						userRequest.current = null;
+						// only a rejected token means logged out; anything else can be retried
+						if (error.status === 401) handleLogout();
+						else setUserError(error.message);
+					}
+					throw error;
+				});
+			userRequest.current = { token: sessionToken, promise };
+		}
+		return userRequest.current.promise;
+	};
+
+	const refreshUser = () => loadCurrentUser(true);
+
+	// after a failed lookup (e.g. the network dropped), try the same token again
+	const retryUser = () => {
+		setUserError('');
+		return loadCurrentUser(true).catch(() => {});
+	};
+
+	// login handling, shared by Login and Register; resolves with the user
+	const handleLogin = ({ token: newToken, slug }) => {
+		saveSession({ token: newToken, slug });
+		setCurrentUser(null);
+		setUserError('');
+		setToken(newToken);
+		return loadCurrentUser();
+	};
+
 	// logout handling
 	const handleLogout = () => {
-		localStorage.removeItem('slug');
-		localStorage.removeItem('token');
-		setIsLogged(false);
+		clearSession();
+		setToken(null);
 	}
 
+	// every new token starts a fresh user lookup
+	useEffect(() => {
+		if (userRequest.current?.token !== token) {
+			userRequest.current = null;
+			setCurrentUser(null);
+			setUserError('');
+		}
+		if (token) loadCurrentUser().catch(() => {});
+	}, [token]);
+
+	// a failed lookup is retried when the tab regains focus or the network returns
+	useEffect(() => {
+		if (!userError) return;
+		window.addEventListener('focus', retryUser);
+		window.addEventListener('online', retryUser);
+		return () => {
+			window.removeEventListener('focus', retryUser);
+			window.removeEventListener('online', retryUser);
+		};
+	}, [userError]);
+
+	// an expired or revoked token logs the user out wherever it is detected
+	useEffect(() => {
+		setUnauthorizedHandler(handleLogout);
+		return () => setUnauthorizedHandler(null);
+	}, []);
+
+	// log out locally the moment the token's `exp` passes
+	useEffect(() => {
+		const expiresAt = token && tokenExpiry(token);
+		if (!expiresAt) return;
+
+		let timer;
+		const check = () => {
+			const remaining = expiresAt - Date.now();
+			if (remaining <= 0) {
+				handleLogout();
+			} else {
+				timer = setTimeout(check, Math.min(remaining, MAX_TIMER_DELAY));
+			}
+		};
+		check();
+		return () => clearTimeout(timer);
+	}, [token]);
+
+	// keep tabs in sync: login or logout in one tab applies to all of them
+	useEffect(() => {
+		const onStorage = (e) => {
+			if (e.key === null || e.key === 'token') setToken(getToken());
+		};
+		window.addEventListener('storage', onStorage);
+		return () => window.removeEventListener('storage', onStorage);
+	}, []);
+
 	const value = {
-		url, tokenCon, didSendCode,
-		setTokenCon,
-		handleLogout,
-		isLogged, setIsLogged,
-		token,
+		didSendCode,
+		handleLogin, handleLogout,
+		isLogged, token,
+		currentUser, userError, loadCurrentUser, refreshUser, retryUser,
 		upcoming_contest_url,
 		contests, setContests,
 		cmessage, setCmessage,
@@ -0,0 +1,16 @@
+import { useEffect, useState } from "react";
+
+// Current time in ms, refreshed every `interval` ms so countdowns and
+// deadline-based states update without a reload.
+const useNow = (interval = 1000) => {
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+
+  return now;
+};
+
+export default useNow;
@@ -0,0 +1,25 @@
+import { useSearchParams } from "react-router-dom";
+
+// Filters kept in the query string so a filtered list can be shared as a
+// link. Changing any filter other than `page` goes back to the first page.
+const useUrlFilters = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const get = (key) => searchParams.get(key) || "";
+
+  const update = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    const isPaging = "page" in changes;
+    if (!isPaging) next.delete("page");
+    // typing in a filter shouldn't fill the history; page turns should
+    setSearchParams(next, { replace: !isPaging });
+  };
+
+  return [get, update];
+};
+
+export default useUrlFilters;
@@ -1,95 +1,73 @@
-import React from "react";
+import React, { useContext } from "react";
 import { NavLink, Outlet } from "react-router-dom";
 import { IoMdAddCircleOutline, IoIosPeople } from "react-icons/io";
-import { MdEventAvailable, MdOutlineAutorenew } from "react-icons/md";
+import {
+  MdEventAvailable,
+  MdOutlineAutorenew,
+  MdOutlineCardMembership,
+  MdOutlinePayments,
+  MdQrCodeScanner,
+} from "react-icons/md";
 import { IoSettingsOutline } from "react-icons/io5";
 import { CiMemoPad } from "react-icons/ci";
 import { BiHistory } from "react-icons/bi";
-import { FaFileInvoice } from "react-icons/fa";
+import { FaFileInvoice, FaCertificate } from "react-icons/fa";
+import { UserContext } from "../../context/UserContext";
+import { ROLE_LABELS, ROLE_STYLES, canUseModule, roleOf } from "../../utils/roles";
+
+// Sidebar entries in display order; each shows only to roles that can use its module.
+const NAV_ITEMS = [
+  { to: "/admin-panel/add", label: "Add Event", icon: IoMdAddCircleOutline, module: "events" },
+  { to: "/admin-panel/list", label: "List of Events", icon: MdEventAvailable, module: "events" },
+  { to: "/admin-panel/members", label: "Members", icon: IoIosPeople, module: "members" },
+  {
+    to: "/admin-panel/membership-requests",
+    label: "Membership Requests",
+    icon: MdOutlineCardMembership,
+    module: "membershipRequests",
+  },
+  { to: "/admin-panel/gallery", label: "Upload Images", icon: MdOutlineAutorenew, module: "gallery" },
+  {
+    to: "/admin-panel/registration-details",
+    label: "Registrations",
+    icon: MdOutlinePayments,
+    module: "events",
+  },
+  { to: "/admin-panel/check-in", label: "Check-in", icon: MdQrCodeScanner, module: "events" },
+  { to: "/admin-panel/certificates", label: "Certificates", icon: FaCertificate, module: "events" },
+  { to: "/admin-panel/pad-generation", label: "Pad Generation", icon: CiMemoPad, module: "documents" },
+  { to: "/admin-panel/pad-history", label: "Pad History", icon: BiHistory, module: "documents" },
+  { to: "/admin-panel/create-invoice", label: "Create Invoice", icon: FaFileInvoice, module: "documents" },
+  { to: "/admin-panel/settings", label: "Settings", icon: IoSettingsOutline, module: "settings" },
+];
 
 const AdminPanel = () => {
+  const { currentUser } = useContext(UserContext);
+
   return (
     <div className="w-full min-h-screen flex">
       <div className="w-[18%] min-h-screen border-r-2 ">
         {/* left side*/}
         <div className="mt-18 flex flex-col gap-4 pt-6 pl-[20%] text-[15px]">
-          <NavLink
-            className="flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-1"
-            to="/admin-panel/add"
-          >
-            {/*<img className='w-5 h-5' src={} alt="" />*/}
-            <IoMdAddCircleOutline />
-            <p className="hidden md:block">Add Event</p>
-          </NavLink>
-
-          <NavLink
-            className="flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-1"
-            to="/admin-panel/list"
-          >
-            {/*<img className='w-5 h-5' src={} alt="" />*/}
-            <MdEventAvailable />
-            <p className="hidden md:block">List of Events</p>
-          </NavLink>
-
-          <NavLink
-            className="flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-1"
-            to="/admin-panel/members"
-          >
-            {/*<img className='w-5 h-5' src={} alt="" />*/}
-            <IoIosPeople />
-            <p className="hidden md:block">Members</p>
-          </NavLink>
-
-          <NavLink
-            className="flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-1"
-            to="/admin-panel/gallery"
-          >
-            {/*<img className='w-5 h-5' src={} alt="" />*/}
-            <MdOutlineAutorenew />
-            <p className="hidden md:block">Upload Images</p>
-          </NavLink>
-
-          {/* <NavLink className="flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-1" to="/admin-panel/registration-details">
-                
-                <MdOutlineAutorenew />
-                <p className='hidden md:block'>Registration Details</p>
-            </NavLink> */}
-
-          <NavLink
-            className="flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-1"
-            to="/admin-panel/pad-generation"
-          >
-            {/*<img className='w-5 h-5' src={} alt="" />*/}
-            <CiMemoPad />
-            <p className="hidden md:block">Pad Generation</p>
-          </NavLink>
-
-          <NavLink
-            className="flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-1"
-            to="/admin-panel/pad-history"
-          >
-            {/*<img className='w-5 h-5' src={} alt="" />*/}
-            <BiHistory />
-            <p className="hidden md:block">Pad History</p>
-          </NavLink>
-
-          <NavLink
-            className="flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-1"
-            to="/admin-panel/create-invoice"
-          >
-            {/*<img className='w-5 h-5' src={} alt="" />*/}
-            <FaFileInvoice />
-            <p className="hidden md:block">Create Invoice</p>
-          </NavLink>
-
-          <NavLink
-            className="flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-1"
-            to="/admin-panel/settings"
+          <span
+            className={`hidden md:inline-block self-start px-2 py-0.5 rounded text-xs ${
+              ROLE_STYLES[roleOf(currentUser)]
+            }`}
           >
-            {/*<img className='w-5 h-5' src={} alt="" />*/}
-            <IoSettingsOutline />
-            <p className="hidden md:block">Settings</p>
-          </NavLink>
+            {ROLE_LABELS[roleOf(currentUser)]}
+          </span>
+          {NAV_ITEMS.filter((item) => canUseModule(currentUser, item.module)).map(
+            ({ to, label, icon: Icon }) => (
+              <NavLink
+                key={to}
+                className="flex items-center gap-3 border border-gray-300 border-r-0 px-3 py-2 rounded-1"
+                to={to}
+              >
+                <Icon />
+                <p className="hidden md:block">{label}</p>
+              </NavLink>
+            )
+          )}
         </div>
       </div>
 
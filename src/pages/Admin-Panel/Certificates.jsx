@@ -0,0 +1,404 @@
+import React, { useContext, useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { FiDownload, FiPlusCircle, FiTrash2 } from "react-icons/fi";
+import { ClipLoader } from "react-spinners";
+import { UserContext } from "../../context/UserContext";
+import { certificateApi } from "../../api";
+import { saveBlob } from "../../utils/download";
+import {
+  CERTIFICATE_TYPES,
+  CERTIFICATE_TYPE_LABELS,
+  certificateRecipients,
+} from "../../utils/certificates";
+
+const Certificates = () => {
+  const { events, eventLoading, getEventMessage } = useContext(UserContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [templates, setTemplates] = useState([]);
+  const [type, setType] = useState(CERTIFICATE_TYPES.PARTICIPATION);
+  const [templateId, setTemplateId] = useState("");
+  const [attendedOnly, setAttendedOnly] = useState(false);
+  const [recipients, setRecipients] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [authorizers, setAuthorizers] = useState([{ name: "", role: "" }]);
+  const [issued, setIssued] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState("");
+  const [message, setMessage] = useState({ type: "", text: "" });
+
+  const eventId = searchParams.get("event") || "";
+  const event = events.find((e) => e._id === eventId);
+  const isAchievement = type === CERTIFICATE_TYPES.ACHIEVEMENT;
+
+  useEffect(() => {
+    certificateApi
+      .getTemplates()
+      .then((res) => setTemplates(res.data || []))
+      .catch((error) => setMessage({ type: "error", text: error.message }));
+  }, []);
+
+  // Rebuild the recipient list whenever the event, its registrations or the filters change
+  useEffect(() => {
+    const list = certificateRecipients(event, { attendedOnly });
+    setRecipients(list);
+    setSelected(
+      new Set(list.filter((r) => !isAchievement || r.achievement).map((r) => r.key))
+    );
+  }, [event, attendedOnly, isAchievement]);
+
+  useEffect(() => {
+    if (!eventId) return;
+    certificateApi
+      .getEventCertificates(eventId)
+      .then((res) => setIssued(res.data || []))
+      .catch(() => setIssued([]));
+  }, [eventId]);
+
+  const typeTemplates = useMemo(
+    () => templates.filter((t) => !t.type || t.type === type),
+    [templates, type]
+  );
+
+  useEffect(() => {
+    setTemplateId((current) =>
+      typeTemplates.some((t) => t._id === current) ? current : typeTemplates[0]?._id || ""
+    );
+  }, [typeTemplates]);
+
+  const selectEvent = (id) => {
+    setSearchParams(id ? { event: id } : {});
+    setMessage({ type: "", text: "" });
+  };
+
+  const updateRecipient = (key, field, value) =>
+    setRecipients((list) => list.map((r) => (r.key === key ? { ...r, [field]: value } : r)));
+
+  const toggle = (key) =>
+    setSelected((current) => {
+      const next = new Set(current);
+      next.has(key) ? next.delete(key) : next.add(key);
+      return next;
+    });
+
+  const allSelected = recipients.length > 0 && selected.size === recipients.length;
+  const toggleAll = () =>
+    setSelected(allSelected ? new Set() : new Set(recipients.map((r) => r.key)));
+
+  const handleAuthorizerChange = (index, field, value) =>
+    setAuthorizers((list) => list.map((a, i) => (i === index ? { ...a, [field]: value } : a)));
+
+  const handleGenerate = async () => {
+    const chosen = recipients.filter((r) => selected.has(r.key));
+    if (!templateId) {
+      setMessage({ type: "error", text: "Please choose a template." });
+      return;
+    }
+    if (chosen.length === 0) {
+      setMessage({ type: "error", text: "Select at least one recipient." });
+      return;
+    }
+    if (chosen.some((r) => !r.name.trim())) {
+      setMessage({ type: "error", text: "Every selected recipient needs a name." });
+      return;
+    }
+    if (isAchievement && chosen.some((r) => !r.achievement.trim())) {
+      setMessage({
+        type: "error",
+        text: "Achievement certificates need a rank or title for every recipient.",
+      });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ type: "", text: "" });
+    try {
+      const res = await certificateApi.generateCertificates({
+        eventId,
+        templateId,
+        type,
+        recipients: chosen.map((r) => ({
+          classroll: r.classroll,
+          name: r.name.trim(),
+          ...(isAchievement && { achievement: r.achievement.trim() }),
+        })),
+        authorizers: authorizers.filter((a) => a.name.trim() && a.role.trim()),
+      });
+      const created = res.data || [];
+      setIssued((list) => [...created, ...list]);
+      setMessage({
+        type: "success",
+        text: res.message || `${created.length} certificate(s) generated.`,
+      });
+    } catch (error) {
+      setMessage({
+        type: "error",
+        text: error.data?.message || "Failed to generate certificates. Please try again.",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownload = async (serial) => {
+    setDownloading(serial);
+    try {
+      const { blob, filename } = await certificateApi.downloadCertificate(serial);
+      saveBlob(blob, filename);
+    } catch (error) {
+      setMessage({ type: "error", text: error.message });
+    } finally {
+      setDownloading("");
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 md:p-6 rounded-lg max-w-5xl mx-auto">
+      <h2 className="text-2xl font-semibold mb-4 text-center">Certificates</h2>
+
+      {eventLoading && <p className="text-gray-600 text-center">Loading events...</p>}
+      {!eventLoading && getEventMessage && (
+        <div className="text-red-600 bg-red-100 p-3 rounded mb-4 text-center">
+          {getEventMessage}
+        </div>
+      )}
+
+      {!eventLoading && !getEventMessage && (
+        <select
+          value={eventId}
+          onChange={(e) => selectEvent(e.target.value)}
+          className="w-full border px-3 py-2 rounded mb-4 bg-white"
+        >
+          <option value="">Select an event</option>
+          {events.map((e) => (
+            <option key={e._id} value={e._id}>
+              {e.eventName} ({new Date(e.date).toLocaleDateString()})
+            </option>
+          ))}
+        </select>
+      )}
+
+      {message.text && (
+        <div
+          className={`mb-4 text-sm p-3 rounded ${
+            message.type === "success" ? "bg-green-100 text-green-800" : "bg-red-100 text-red-700"
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {event && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+            <label className="text-sm">
+              <span className="block font-medium text-gray-700 mb-1">Type</span>
+              <select
+                value={type}
+                onChange={(e) => setType(e.target.value)}
+                className="w-full border px-3 py-2 rounded bg-white"
+              >
+                {Object.values(CERTIFICATE_TYPES).map((t) => (
+                  <option key={t} value={t}>
+                    {CERTIFICATE_TYPE_LABELS[t]}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm">
+              <span className="block font-medium text-gray-700 mb-1">Template</span>
+              <select
+                value={templateId}
+                onChange={(e) => setTemplateId(e.target.value)}
+                className="w-full border px-3 py-2 rounded bg-white"
+              >
+                {typeTemplates.length === 0 && <option value="">No templates available</option>}
+                {typeTemplates.map((t) => (
+                  <option key={t._id} value={t._id}>
+                    {t.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2 text-sm md:mt-6">
+              <input
+                type="checkbox"
+                checked={attendedOnly}
+                onChange={(e) => setAttendedOnly(e.target.checked)}
+              />
+              Checked-in attendees only
+            </label>
+          </div>
+
+          {typeTemplates.find((t) => t._id === templateId)?.previewUrl && (
+            <img
+              src={typeTemplates.find((t) => t._id === templateId).previewUrl}
+              alt="Template preview"
+              className="max-h-48 mx-auto mb-4 border rounded"
+            />
+          )}
+
+          {/* Authorizers */}
+          <div className="mb-4">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-medium text-gray-700">Signed by (max 3)</p>
+              {authorizers.length < 3 && (
+                <button
+                  type="button"
+                  onClick={() => setAuthorizers((list) => [...list, { name: "", role: "" }])}
+                  className="text-xs inline-flex items-center gap-1 px-2 py-1 bg-green-50 border rounded hover:bg-green-100"
+                >
+                  <FiPlusCircle /> Add
+                </button>
+              )}
+            </div>
+            <div className="space-y-2">
+              {authorizers.map((auth, idx) => (
+                <div key={idx} className="flex gap-2">
+                  <input
+                    type="text"
+                    value={auth.name}
+                    onChange={(e) => handleAuthorizerChange(idx, "name", e.target.value)}
+                    placeholder="Name"
+                    className="flex-1 border rounded px-2 py-2 text-sm"
+                  />
+                  <input
+                    type="text"
+                    value={auth.role}
+                    onChange={(e) => handleAuthorizerChange(idx, "role", e.target.value)}
+                    placeholder="Role (e.g. President)"
+                    className="flex-1 border rounded px-2 py-2 text-sm"
+                  />
+                  {authorizers.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => setAuthorizers((list) => list.filter((_, i) => i !== idx))}
+                      className="text-red-500 px-2"
+                      aria-label="Remove authorizer"
+                    >
+                      <FiTrash2 />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Recipients */}
+          {recipients.length === 0 ? (
+            <p className="text-gray-600 text-center mb-4">No eligible recipients.</p>
+          ) : (
+            <div className="overflow-x-auto mb-4">
+              <table className="w-full text-sm border">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="border px-2 py-1">
+                      <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+                    </th>
+                    {event.registeredTeams && <th className="border px-2 py-1">Team</th>}
+                    <th className="border px-2 py-1">Class Roll</th>
+                    <th className="border px-2 py-1">Name on certificate</th>
+                    {isAchievement && <th className="border px-2 py-1">Rank / Title</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {recipients.map((r) => (
+                    <tr key={r.key}>
+                      <td className="border px-2 py-1 text-center">
+                        <input
+                          type="checkbox"
+                          checked={selected.has(r.key)}
+                          onChange={() => toggle(r.key)}
+                        />
+                      </td>
+                      {event.registeredTeams && <td className="border px-2 py-1">{r.team}</td>}
+                      <td className="border px-2 py-1">{r.classroll || "-"}</td>
+                      <td className="border px-2 py-1">
+                        <input
+                          type="text"
+                          value={r.name}
+                          onChange={(e) => updateRecipient(r.key, "name", e.target.value)}
+                          className="w-full border rounded px-2 py-0.5"
+                        />
+                      </td>
+                      {isAchievement && (
+                        <td className="border px-2 py-1">
+                          <input
+                            type="text"
+                            value={r.achievement}
+                            onChange={(e) => updateRecipient(r.key, "achievement", e.target.value)}
+                            placeholder="e.g. Champion"
+                            className="w-full border rounded px-2 py-0.5"
+                          />
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <button
+            onClick={handleGenerate}
+            disabled={loading || selected.size === 0}
+            className="w-full bg-orange-500 text-white py-2 rounded flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            {loading ? (
+              <ClipLoader size={18} color="#fff" />
+            ) : (
+              `Generate ${selected.size} ${CERTIFICATE_TYPE_LABELS[type]} Certificate(s)`
+            )}
+          </button>
+
+          {/* Issued */}
+          <h3 className="font-semibold text-gray-800 mt-6 mb-2">Issued for this event</h3>
+          {issued.length === 0 ? (
+            <p className="text-sm text-gray-500">No certificates issued yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="border px-2 py-1">Serial</th>
+                    <th className="border px-2 py-1">Recipient</th>
+                    <th className="border px-2 py-1">Type</th>
+                    <th className="border px-2 py-1">Issued</th>
+                    <th className="border px-2 py-1"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {issued.map((c) => (
+                    <tr key={c.serial}>
+                      <td className="border px-2 py-1 font-mono">{c.serial}</td>
+                      <td className="border px-2 py-1">
+                        {c.recipientName}
+                        {c.achievement && (
+                          <span className="text-gray-500"> — {c.achievement}</span>
+                        )}
+                      </td>
+                      <td className="border px-2 py-1">{CERTIFICATE_TYPE_LABELS[c.type]}</td>
+                      <td className="border px-2 py-1">
+                        {new Date(c.issuedAt).toLocaleDateString()}
+                      </td>
+                      <td className="border px-2 py-1 text-center">
+                        <button
+                          onClick={() => handleDownload(c.serial)}
+                          disabled={downloading === c.serial}
+                          className="text-xs border px-2 py-0.5 rounded hover:bg-gray-50 disabled:opacity-50 inline-flex items-center gap-1"
+                        >
+                          <FiDownload /> PDF
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Certificates;
@@ -0,0 +1,254 @@
+import React, { useContext, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { UserContext } from "../../context/UserContext";
+import { eventApi } from "../../api";
+import { registrationRows } from "../../utils/registration";
+import {
+  ATTENDANCE_COLUMNS,
+  findAttendee,
+  isCheckedIn,
+  isConfirmed,
+  parseCheckIn,
+} from "../../utils/checkin";
+import { downloadCsv, downloadXlsx } from "../../utils/spreadsheet";
+import QrScanner from "../../components/QrScanner";
+
+const fileSlug = (name) => (name || "event").replace(/[^a-z0-9]+/gi, "-").toLowerCase();
+
+const CheckIn = () => {
+  const { events, eventLoading, getEventMessage, getAllEvents } = useContext(UserContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [scanning, setScanning] = useState(false);
+  const [roll, setRoll] = useState("");
+  const [feedback, setFeedback] = useState(null); // { ok: boolean, text: string }
+  const [busy, setBusy] = useState(false);
+
+  const eventId = searchParams.get("event") || "";
+  const event = events.find((e) => e._id === eventId);
+
+  const rows = registrationRows(event).filter((r) => !r.withdrawn);
+  const attended = rows.filter(isCheckedIn);
+  const memberName = (row) => row.member.Name || row.member.name || row.member.classroll;
+
+  const selectEvent = (id) => {
+    setSearchParams(id ? { event: id } : {});
+    setFeedback(null);
+    setScanning(false);
+  };
+
+  const markAttendance = async (row, checkedIn = true) => {
+    setBusy(true);
+    try {
+      await eventApi.checkIn(event._id, {
+        classroll: row.member.classroll,
+        memberId: row.memberId,
+        checkedIn,
+      });
+      await getAllEvents();
+      setFeedback({
+        ok: true,
+        text: checkedIn
+          ? `✓ ${memberName(row)}${row.team ? ` (${row.team.teamName})` : ""} checked in`
+          : `${memberName(row)} unmarked`,
+      });
+    } catch (error) {
+      setFeedback({ ok: false, text: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const checkInRoll = (value) => {
+    const row = findAttendee(event, value);
+    if (!row) {
+      setFeedback({ ok: false, text: `${value} is not registered for this event.` });
+    } else if (isCheckedIn(row)) {
+      setFeedback({ ok: false, text: `${memberName(row)} is already checked in.` });
+    } else if (!isConfirmed(event, row.paid)) {
+      // same rule that decides whether a ticket QR is issued
+      setFeedback({
+        ok: false,
+        text: `Payment pending: ${memberName(row)} hasn't paid the ৳${event.registrationFee} fee yet.`,
+      });
+    } else {
+      markAttendance(row);
+    }
+  };
+
+  const handleScan = (text) => {
+    const code = parseCheckIn(text);
+    if (!code) {
+      setFeedback({ ok: false, text: "This is not a pcIST check-in code." });
+    } else if (code.eventId !== event._id) {
+      const other = events.find((e) => e._id === code.eventId);
+      setFeedback({
+        ok: false,
+        text: `This code is for ${other ? other.eventName : "a different event"}.`,
+      });
+    } else if (!busy) {
+      checkInRoll(code.roll);
+    }
+  };
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    if (!roll.trim()) return;
+    checkInRoll(roll.trim());
+    setRoll("");
+  };
+
+  const exportName = `${fileSlug(event?.eventName)}-attendance`;
+
+  return (
+    <div className="bg-white p-4 md:p-6 rounded-lg max-w-5xl mx-auto">
+      <h2 className="text-2xl font-semibold mb-4 text-center">Event Check-in</h2>
+
+      {eventLoading && <p className="text-gray-600 text-center">Loading events...</p>}
+      {!eventLoading && getEventMessage && (
+        <div className="text-red-600 bg-red-100 p-3 rounded mb-4 text-center">
+          {getEventMessage}
+        </div>
+      )}
+
+      {!eventLoading && !getEventMessage && (
+        <select
+          value={eventId}
+          onChange={(e) => selectEvent(e.target.value)}
+          className="w-full border px-3 py-2 rounded mb-4 bg-white"
+        >
+          <option value="">Select an event</option>
+          {events.map((e) => (
+            <option key={e._id} value={e._id}>
+              {e.eventName} ({new Date(e.date).toLocaleDateString()})
+            </option>
+          ))}
+        </select>
+      )}
+
+      {event && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            {/* Scan */}
+            <div className="border rounded-lg p-4">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="font-semibold text-gray-800">Scan QR</h3>
+                <button
+                  onClick={() => setScanning((s) => !s)}
+                  className={`px-3 py-1 rounded text-sm text-white ${scanning ? "bg-gray-500" : "bg-slate-900"}`}
+                >
+                  {scanning ? "Stop camera" : "Start camera"}
+                </button>
+              </div>
+              {scanning && <QrScanner onScan={handleScan} />}
+            </div>
+
+            {/* Manual */}
+            <div className="border rounded-lg p-4">
+              <h3 className="font-semibold text-gray-800 mb-3">Manual entry</h3>
+              <form onSubmit={handleManualSubmit} className="flex gap-2">
+                <input
+                  type="text"
+                  value={roll}
+                  onChange={(e) => setRoll(e.target.value)}
+                  placeholder="Class roll or email"
+                  className="flex-1 border px-3 py-2 rounded"
+                />
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="bg-green-600 text-white px-4 py-2 rounded disabled:opacity-50"
+                >
+                  Check in
+                </button>
+              </form>
+            </div>
+          </div>
+
+          {feedback && (
+            <div
+              className={`mb-4 text-sm p-3 rounded ${
+                feedback.ok ? "bg-green-100 text-green-800" : "bg-red-100 text-red-700"
+              }`}
+            >
+              {feedback.text}
+            </div>
+          )}
+
+          {/* Attendance */}
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <p className="font-semibold text-gray-800">
+              Attendance: {attended.length} / {rows.length}
+            </p>
+            <div className="flex gap-2">
+              <button
+                onClick={() => downloadCsv(rows, ATTENDANCE_COLUMNS, `${exportName}.csv`)}
+                disabled={rows.length === 0}
+                className="bg-slate-900 text-white px-3 py-1 rounded text-sm disabled:opacity-50"
+              >
+                Export CSV
+              </button>
+              <button
+                onClick={() =>
+                  downloadXlsx(rows, ATTENDANCE_COLUMNS, `${exportName}.xlsx`, "Attendance")
+                }
+                disabled={rows.length === 0}
+                className="bg-green-600 text-white px-3 py-1 rounded text-sm disabled:opacity-50"
+              >
+                Export XLSX
+              </button>
+            </div>
+          </div>
+
+          {rows.length === 0 ? (
+            <p className="text-gray-600 text-center">No members registered.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border">
+                <thead>
+                  <tr className="bg-gray-50">
+                    {event.registeredTeams && <th className="border px-2 py-1">Team</th>}
+                    <th className="border px-2 py-1">Class Roll</th>
+                    <th className="border px-2 py-1">Name</th>
+                    <th className="border px-2 py-1">Checked In</th>
+                    <th className="border px-2 py-1"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => (
+                    <tr key={row.key} className={isCheckedIn(row) ? "bg-green-50" : ""}>
+                      {event.registeredTeams && (
+                        <td className="border px-2 py-1">{row.team?.teamName}</td>
+                      )}
+                      <td className="border px-2 py-1">{row.member.classroll || "-"}</td>
+                      <td className="border px-2 py-1">{row.member.Name || row.member.name || "-"}</td>
+                      <td className="border px-2 py-1">
+                        {isCheckedIn(row)
+                          ? new Date(row.member.checkedInAt).toLocaleTimeString()
+                          : "-"}
+                      </td>
+                      <td className="border px-2 py-1 text-center">
+                        {isCheckedIn(row) || isConfirmed(event, row.paid) ? (
+                          <button
+                            onClick={() => markAttendance(row, !isCheckedIn(row))}
+                            disabled={busy}
+                            className="text-xs border px-2 py-0.5 rounded hover:bg-gray-50 disabled:opacity-50"
+                          >
+                            {isCheckedIn(row) ? "Undo" : "Check in"}
+                          </button>
+                        ) : (
+                          <span className="text-xs text-yellow-700">Payment pending</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CheckIn;
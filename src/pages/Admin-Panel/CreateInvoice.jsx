@@ -1,10 +1,11 @@
 // src/components/admin/InvoiceSend.jsx
 import React, { useMemo, useState } from "react";
 import { useForm, useFieldArray, Controller, useWatch } from "react-hook-form";
-import axios from "axios";
 import { ClipLoader } from "react-spinners";
 import { FiPlusCircle, FiTrash2, FiDownload } from "react-icons/fi";
 import { motion } from "framer-motion";
+import { invoiceApi } from "../../api";
+import { saveBlob } from "../../utils/download";
 
 const currencyFmt = (n) => {
   const num = Number(n);
@@ -18,10 +19,6 @@ const currencyFmt = (n) => {
 const defaultProduct = { description: "", quantity: 1, unitPrice: "" };
 
 const InvoiceSend = () => {
-  const url = import.meta.env.VITE_BACKEND_URL;
-  const token = localStorage.getItem("token");
-  const slug = localStorage.getItem("slug");
-
   const {
     register,
     control,
@@ -80,7 +77,6 @@ const InvoiceSend = () => {
     }
 
     const payload = {
-      slug,
       products: data.products.map((p) => ({
         description: p.description,
         quantity: p.quantity ? Number(p.quantity) : 1,
@@ -94,41 +90,16 @@ const InvoiceSend = () => {
     };
 
     try {
-      const res = await axios.post(`${url}/user/invoice/download`, payload, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "application/json",
-          "x-user-slug": slug,
-          "x-slug": slug,
-        },
-        responseType: "blob", // Expect PDF file
-      });
-
-      // Create a download link for the PDF
-      const blob = new Blob([res.data], { type: "application/pdf" });
-      const downloadUrl = window.URL.createObjectURL(blob);
-      const link = document.createElement("a");
-      link.href = downloadUrl;
-
-      // Extract filename from response headers or use default
-      const contentDisposition = res.headers["content-disposition"];
-      let filename = "invoice.pdf";
-      if (contentDisposition) {
-        const filenameMatch = contentDisposition.match(/filename="?(.+)"?/);
-        if (filenameMatch) filename = filenameMatch[1];
-      }
-
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(downloadUrl);
+      const { blob, filename, headers } = await invoiceApi.downloadInvoice(
+        payload
+      );
+      saveBlob(blob, filename);
 
       setApiSuccess({
         message: "Invoice downloaded successfully",
-        invoiceId: res.headers["x-invoice-id"],
-        serial: res.headers["x-invoice-serial"],
-        issueDate: res.headers["x-invoice-date"],
+        invoiceId: headers["x-invoice-id"],
+        serial: headers["x-invoice-serial"],
+        issueDate: headers["x-invoice-date"],
         total: totals.total,
       });
 
@@ -143,7 +114,7 @@ const InvoiceSend = () => {
     } catch (err) {
       console.error(err);
       setApiError(
-        err?.response?.data?.message || "Failed to download invoice. Try again."
+        err.data?.message || "Failed to download invoice. Try again."
       );
     }
   };
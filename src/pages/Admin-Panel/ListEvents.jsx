@@ -1,108 +1,91 @@
-import React, { useContext, useState } from "react";
+import React, { useContext, useRef, useState } from "react";
+import { Link } from "react-router-dom";
 import { UserContext } from "../../context/UserContext";
-import axios from "axios";
+import { eventApi } from "../../api";
+import {
+  isWithdrawn,
+  registrationCount,
+  waitingEntries,
+} from "../../utils/registration";
+import RegistrationHistory from "../../components/RegistrationHistory";
+import EventEditor from "../../components/EventEditor";
+import {
+  EVENT_STATUS,
+  EVENT_STATUS_LABELS,
+  EVENT_STATUS_STYLES,
+  getEventStatus,
+  isPastEvent,
+} from "../../utils/eventStatus";
+import { locationLabel } from "../../utils/locations";
+import useNow from "../../hooks/useNow";
 
 const ListEvents = () => {
-  const { url, events, eventLoading, getEventMessage, getAllEvents } =
+  const { events, eventLoading, getEventMessage, getAllEvents } =
     useContext(UserContext);
-  const slug = localStorage.getItem("slug");
-  const token = localStorage.getItem("token");
+  const now = useNow(60 * 1000);
 
-  const [isModalOpen, setIsModalOpen] = useState(false);
-  const [currentEvent, setCurrentEvent] = useState({
-    _id: "",
-    eventName: "",
-    eventType: "",
-    date: "",
-    location: "",
-    description: "",
-  });
+  const [editingEvent, setEditingEvent] = useState(null);
 
   const [deleteMessage, setDeleteMessage] = useState("");
 
   const [membersModalOpen, setMembersModalOpen] = useState(false);
   const [selectedMembers, setSelectedMembers] = useState([]);
   const [selectedTeams, setSelectedTeams] = useState([]); // For team events
+  const [selectedWaitlist, setSelectedWaitlist] = useState([]);
   const [selectedEventName, setSelectedEventName] = useState("");
 
   // DELETE EVENT
   const handleDelete = async (id) => {
     try {
-      const response = await axios.post(
-        `${url}/event/delete_event/${id}`,
-        { slug }, // body
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-          },
-        }
-      );
+      const data = await eventApi.deleteEvent(id);
 
-      setDeleteMessage(response.data.message || "Event deleted successfully ✅");
+      setDeleteMessage(data.message || "Event deleted successfully ✅");
       getAllEvents();
 
       // clear message after 3s
       setTimeout(() => setDeleteMessage(""), 3000);
     } catch (error) {
-      const msg = error.response?.data?.message || "Error deleting event ❌";
-      setDeleteMessage(msg);
+      setDeleteMessage(error.data?.message || "Error deleting event ❌");
 
       setTimeout(() => setDeleteMessage(""), 3000);
     }
   };
 
-  // OPEN UPDATE MODAL
-  const openUpdateModal = (event) => {
-    setCurrentEvent({
-      _id: event._id,
-      eventName: event.eventName,
-      eventType: event.eventType,
-      date: event.date.split("T")[0], // For input type='date'
-      location: event.location,
-      description: event.description,
-    });
-    setIsModalOpen(true);
-  };
-
-  // UPDATE INPUT CHANGE
-  const handleUpdateChange = (e) => {
-    const { name, value } = e.target;
-    setCurrentEvent((prev) => ({ ...prev, [name]: value }));
+  // STATUS CHANGE
+  const handleStatusChange = async (id, status) => {
+    try {
+      await eventApi.setEventStatus(id, status);
+      getAllEvents();
+    } catch (error) {
+      setDeleteMessage(error.message);
+      setTimeout(() => setDeleteMessage(""), 3000);
+    }
   };
 
   // UPDATE EVENT SUBMIT
-  const handleUpdateSubmit = async (e) => {
-    e.preventDefault();
-    try {
-      const response = await axios.put(
-        `${url}/event/update_event/${currentEvent._id}`,
-        {
-          slug: slug,
-          eventName: currentEvent.eventName,
-          eventType: currentEvent.eventType,
-          date: currentEvent.date,
-          location: currentEvent.location,
-          description: currentEvent.description,
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-          },
-        }
-      );
-
-      console.log("Event updated successfully:", response.data);
-      setIsModalOpen(false);
+  // errors propagate so the editor can show them next to the fields
+  // The gallery goes in a second request, so its failure is reported on its
+  // own, and a retry skips the details when they were saved unchanged.
+  const savedFields = useRef("");
+  const handleUpdateSubmit = async ({ fields, gallery }) => {
+    const key = `${editingEvent._id}:${JSON.stringify(fields)}`;
+    if (savedFields.current !== key) {
+      await eventApi.updateEvent(editingEvent._id, fields);
+      savedFields.current = key;
       getAllEvents();
-    } catch (error) {
-      if (error.response) {
-        console.error("Error updating event:", error.response.data.message);
-      } else {
-        console.error("Error:", error.message);
+    }
+    if (gallery) {
+      try {
+        await eventApi.updateEventImages(editingEvent._id, gallery);
+      } catch (error) {
+        throw new Error(
+          `Event details were saved, but the images could not be updated: ${error.message}`
+        );
       }
+      getAllEvents();
     }
+    savedFields.current = "";
+    setEditingEvent(null);
   };
 
   // Open members modal
@@ -114,6 +97,7 @@ const ListEvents = () => {
       setSelectedMembers(event.registeredMembers || []);
       setSelectedTeams([]);
     }
+    setSelectedWaitlist(waitingEntries(event));
     setSelectedEventName(event.eventName || "");
     setMembersModalOpen(true);
   };
@@ -152,9 +136,18 @@ const ListEvents = () => {
               className="border rounded-lg p-4 shadow hover:shadow-lg transition duration-300 flex flex-col justify-between"
             >
               <div>
-                <h3 className="text-lg font-semibold mb-2">
-                  {event.eventName}
-                </h3>
+                <div className="flex items-start justify-between gap-2 mb-2">
+                  <h3 className="text-lg font-semibold">
+                    {event.eventName}
+                  </h3>
+                  <span
+                    className={`shrink-0 px-2 py-0.5 text-xs rounded ${
+                      EVENT_STATUS_STYLES[getEventStatus(event, now)]
+                    }`}
+                  >
+                    {EVENT_STATUS_LABELS[getEventStatus(event, now)]}
+                  </span>
+                </div>
                 <p className="text-sm text-gray-600 mb-1">
                   <strong>Type:</strong> {event.eventType}
                 </p>
@@ -163,14 +156,34 @@ const ListEvents = () => {
                   {new Date(event.date).toLocaleDateString()}
                 </p>
                 <p className="text-sm text-gray-600 mb-1">
-                  <strong>Location:</strong> {event.location}
+                  <strong>Location:</strong> {locationLabel(event.location)}
+                </p>
+                <p className="text-sm text-gray-600 mb-1">
+                  <strong>Registered:</strong> {registrationCount(event)}
+                  {event.capacity > 0 && ` / ${event.capacity}`}
+                  {waitingEntries(event).length > 0 &&
+                    ` (${waitingEntries(event).length} waitlisted)`}
                 </p>
                 <p className="text-sm text-gray-600 mb-2">{event.description}</p>
+                <label className="text-sm text-gray-600 flex items-center gap-2">
+                  <strong>Status:</strong>
+                  <select
+                    value={event.status || EVENT_STATUS.PUBLISHED}
+                    onChange={(e) => handleStatusChange(event._id, e.target.value)}
+                    className="border px-2 py-1 rounded bg-white"
+                  >
+                    {Object.entries(EVENT_STATUS_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
               </div>
 
               <div className="flex flex-col lg:flex-row gap-3 mt-4">
                 <button
-                  onClick={() => openUpdateModal(event)}
+                  onClick={() => setEditingEvent(event)}
                   className="bg-slate-900 text-white px-3 py-1 rounded cursor-pointer transition"
                 >
                   Update
@@ -187,6 +200,26 @@ const ListEvents = () => {
                 >
                   View Registered Members
                 </button>
+                <Link
+                  to={`/admin-panel/registration-details?event=${event._id}`}
+                  className="bg-orange-500 text-white px-3 py-1 rounded text-center transition"
+                >
+                  Manage Registrations
+                </Link>
+                {isPastEvent(event, now) && (
+                  <Link
+                    to={`/admin-panel/results/${event._id}`}
+                    className="bg-blue-600 text-white px-3 py-1 rounded text-center transition"
+                  >
+                    Results
+                  </Link>
+                )}
+                <Link
+                  to={`/admin-panel/certificates?event=${event._id}`}
+                  className="bg-purple-600 text-white px-3 py-1 rounded text-center transition"
+                >
+                  Certificates
+                </Link>
               </div>
             </div>
           ))}
@@ -195,7 +228,7 @@ const ListEvents = () => {
       {/* MEMBERS MODAL */}
       {membersModalOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
-          <div className="bg-white p-6 rounded-lg w-96 relative">
+          <div className="bg-white p-6 rounded-lg w-11/12 max-w-2xl max-h-[90vh] overflow-y-auto relative">
             <h2 className="text-xl font-semibold mb-4 text-center">
               Registered Members for "{selectedEventName}"
             </h2>
@@ -211,11 +244,14 @@ const ListEvents = () => {
                 </thead>
                 <tbody>
                   {selectedMembers.map((m, idx) => (
-                    <tr key={m._id || idx}>
+                    <tr key={m._id || idx} className={isWithdrawn(m) ? "text-gray-400" : ""}>
                       <td className="border px-2 py-1">{m.classroll || "-"}</td>
-                      <td className="border px-2 py-1">{m.Name || m.name || "-"}</td>
                       <td className="border px-2 py-1">
-                        {m.paymentStatus ? "Paid" : "Pending"}
+                        {m.Name || m.name || "-"}
+                        <RegistrationHistory registration={m} />
+                      </td>
+                      <td className="border px-2 py-1">
+                        {isWithdrawn(m) ? "Withdrawn" : m.paymentStatus ? "Paid" : "Pending"}
                       </td>
                     </tr>
                   ))}
@@ -226,9 +262,17 @@ const ListEvents = () => {
             {selectedTeams.length > 0 && (
               <div>
                 {selectedTeams.map((team, tIdx) => (
-                  <div key={team._id || tIdx} className="mb-6">
+                  <div
+                    key={team._id || tIdx}
+                    className={`mb-6 ${isWithdrawn(team) ? "opacity-60" : ""}`}
+                  >
                     <h3 className="font-semibold mb-2 text-green-700">
                       Team: {team.teamName}
+                      {isWithdrawn(team) && (
+                        <span className="ml-2 text-xs font-normal text-red-600">
+                          (Withdrawn)
+                        </span>
+                      )}
                     </h3>
                     <table className="w-full text-sm border mb-2">
                       <thead>
@@ -250,10 +294,51 @@ const ListEvents = () => {
                         ))}
                       </tbody>
                     </table>
+                    <RegistrationHistory registration={team} />
                   </div>
                 ))}
               </div>
             )}
+            {/* WAITLIST */}
+            {selectedWaitlist.length > 0 && (
+              <div className="mb-4">
+                <h3 className="font-semibold mb-2 text-gray-800">
+                  Waitlist ({selectedWaitlist.length})
+                </h3>
+                <table className="w-full text-sm border">
+                  <thead>
+                    <tr>
+                      <th className="border px-2 py-1">#</th>
+                      <th className="border px-2 py-1">Class Roll</th>
+                      <th className="border px-2 py-1">Name / Team</th>
+                      <th className="border px-2 py-1">Joined</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selectedWaitlist.map((entry, idx) => (
+                      <tr key={entry._id || idx}>
+                        <td className="border px-2 py-1 text-center">{idx + 1}</td>
+                        <td className="border px-2 py-1">{entry.classroll || "-"}</td>
+                        <td className="border px-2 py-1">
+                          {entry.teamName || entry.Name || entry.name || "-"}
+                          {entry.members?.length > 0 && (
+                            <span className="block text-xs text-gray-500">
+                              {entry.members.map((m) => m.email || m.name || m).join(", ")}
+                            </span>
+                          )}
+                        </td>
+                        <td className="border px-2 py-1">
+                          {entry.joinedAt ? new Date(entry.joinedAt).toLocaleString() : "-"}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-500 mt-1">
+                  The first in line is registered automatically when a spot opens up.
+                </p>
+              </div>
+            )}
             {/* No members fallback */}
             {selectedMembers.length === 0 && selectedTeams.length === 0 && (
               <p className="text-gray-600 text-center">No members registered.</p>
@@ -271,76 +356,21 @@ const ListEvents = () => {
       )}
 
       {/* UPDATE MODAL */}
-      {isModalOpen && (
+      {editingEvent && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
-          <div className="bg-white p-6 rounded-lg w-96 relative">
+          <div className="bg-white p-6 rounded-lg w-11/12 max-w-lg max-h-[90vh] overflow-y-auto relative">
             <h2 className="text-xl font-semibold mb-4 text-center">
               Update Event
             </h2>
-            <form onSubmit={handleUpdateSubmit} className="flex flex-col gap-3">
-              <input
-                type="text"
-                name="eventName"
-                value={currentEvent.eventName}
-                onChange={handleUpdateChange}
-                placeholder="Event Name"
-                className="border p-2 rounded"
-                required
-              />
-              <input
-                type="text"
-                name="eventType"
-                value={currentEvent.eventType}
-                onChange={handleUpdateChange}
-                placeholder="Event Type"
-                className="border p-2 rounded"
-                required
-              />
-              <input
-                type="date"
-                name="date"
-                value={currentEvent.date}
-                onChange={handleUpdateChange}
-                className="border p-2 rounded"
-                required
-              />
-              <select
-                name="location"
-                value={currentEvent.location}
-                onChange={handleUpdateChange}
-                required
-                className="w-full border px-3 py-2 rounded"
-              >
-                <option value="" disabled>
-                  Select Location
-                </option>
-                <option value="Campus">Campus</option>
-                <option value="Online">Online</option>
-              </select>
-              <textarea
-                name="description"
-                value={currentEvent.description}
-                onChange={handleUpdateChange}
-                placeholder="Description"
-                className="border p-2 rounded"
-                required
-              ></textarea>
-              <div className="flex justify-between mt-4">
-                <button
-                  type="button"
-                  onClick={() => setIsModalOpen(false)}
-                  className="bg-gray-500 text-white px-4 py-2 rounded"
-                >
-                  Cancel
-                </button>
-                <button
-                  type="submit"
-                  className="bg-blue-600 text-white px-4 py-2 rounded"
-                >
-                  Update
-                </button>
-              </div>
-            </form>
+            <EventEditor
+              event={editingEvent}
+              onSubmit={handleUpdateSubmit}
+              onCancel={() => {
+                savedFields.current = "";
+                setEditingEvent(null);
+              }}
+              submitLabel="Update"
+            />
           </div>
         </div>
       )}
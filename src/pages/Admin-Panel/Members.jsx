@@ -1,128 +1,376 @@
-import React, { useContext, useEffect, useState } from "react";
-import axios from "axios";
-import { motion } from "framer-motion";
-import { UserContext } from "../../context/UserContext";
+import React, { useEffect, useMemo, useState } from "react";
+import { userApi } from "../../api";
+import Pagination from "../../components/Pagination";
+import useUrlFilters from "../../hooks/useUrlFilters";
+import { paginate } from "../../utils/pagination";
+import { downloadCsv } from "../../utils/spreadsheet";
+import {
+  MEMBERSHIP_DURATIONS,
+  MEMBERSHIP_LABELS,
+  MEMBERSHIP_STATES,
+  MEMBERSHIP_STYLES,
+  describeMembershipHistory,
+  formatMembershipDate,
+  getMembershipState,
+  isMembershipActive,
+} from "../../utils/membership";
+
+const MEMBERS_PER_PAGE = 25;
+
+const MODAL_TITLES = {
+  activate: "Activate Membership",
+  extend: "Extend Membership",
+  revoke: "Revoke Membership",
+};
+
+// Filters whose options are the distinct values found on the members themselves
+const FIELD_FILTERS = {
+  batch: "All batches",
+  dept: "All departments",
+  gender: "All genders",
+  tshirt: "All T-shirt sizes",
+};
+
+const SORTS = {
+  roll: { label: "Roll", value: (m) => Number(m.classroll ?? m.slug) || 0 },
+  name: { label: "Name", value: (m) => (m.name || "").toLowerCase() },
+  batch: { label: "Batch", value: (m) => Number(m.batch) || 0 },
+  dept: { label: "Dept", value: (m) => (m.dept || "").toLowerCase() },
+  expiry: {
+    label: "Expires",
+    value: (m) => (m.membershipExpiresAt ? new Date(m.membershipExpiresAt).getTime() : 0),
+  },
+};
+
+const EXPORT_COLUMNS = [
+  { header: "Class Roll", value: (m) => Number(m.classroll ?? m.slug) || m.slug },
+  { header: "Name", value: (m) => m.name },
+  { header: "Email", value: (m) => m.email },
+  { header: "Phone", value: (m) => m.phone },
+  { header: "Batch", value: (m) => m.batch },
+  { header: "Department", value: (m) => m.dept },
+  { header: "Gender", value: (m) => m.gender },
+  { header: "T-Shirt", value: (m) => m.tshirt },
+  { header: "Membership", value: (m) => MEMBERSHIP_LABELS[getMembershipState(m)] },
+  { header: "Started", value: (m) => formatMembershipDate(m.membershipStartedAt) },
+  { header: "Expires", value: (m) => formatMembershipDate(m.membershipExpiresAt) },
+];
+
+const distinct = (members, field) =>
+  [...new Set(members.map((m) => m[field]).filter((v) => v != null && v !== ""))].sort((a, b) =>
+    String(a).localeCompare(String(b), undefined, { numeric: true })
+  );
+
+const matchesQuery = (member, query) =>
+  !query ||
+  [member.slug, member.name, member.email].some((field) =>
+    String(field || "").toLowerCase().includes(query)
+  );
 
 const Members = () => {
-  const { url } = useContext(UserContext);
   const [members, setMembers] = useState([]);
-  const [filteredMembers, setFilteredMembers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
-  const [search, setSearch] = useState("");
+  const [message, setMessage] = useState("");
+  const [getParam, updateParams] = useUrlFilters();
+  const [selected, setSelected] = useState(new Set());
 
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [selectedMember, setSelectedMember] = useState(null);
+  const [modalAction, setModalAction] = useState("activate"); // activate | extend | revoke
+  const [modalTargets, setModalTargets] = useState([]);
   const [duration, setDuration] = useState(1);
-
-  const slug = localStorage.getItem("slug") || "";
-  const token = localStorage.getItem("token") || "";
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [historyFor, setHistoryFor] = useState("");
+  const [reminding, setReminding] = useState(false);
 
   // Fetch members
-  useEffect(() => {
-    const fetchMembers = async () => {
-      try {
-        const response = await axios.post(
-          `${url}/user/get-user-list`,
-          { slug },
-          {
-            headers: {
-              Authorization: `Bearer ${token}`,
-              "Content-Type": "application/json",
-            },
-          }
-        );
-        setMembers(response.data.data || []);
-        setFilteredMembers(response.data.data || []);
-        setLoading(false);
-      } catch (err) {
-        console.error(err);
-        setError("Failed to fetch members ❌");
-        setLoading(false);
-      }
-    };
+  const fetchMembers = async () => {
+    try {
+      const data = await userApi.getUserList();
+      setMembers(data.data || []);
+      setError("");
+    } catch (err) {
+      console.error(err);
+      setError("Failed to fetch members ❌");
+    } finally {
+      setLoading(false);
+    }
+  };
 
+  useEffect(() => {
     fetchMembers();
-  }, [url, slug, token]);
+  }, []);
 
-  // Search filter
-  useEffect(() => {
-    if (!search) {
-      setFilteredMembers(members);
-    } else {
-      setFilteredMembers(
-        members.filter((m) =>
-          m.slug.toLowerCase().includes(search.toLowerCase())
-        )
-      );
-    }
-  }, [search, members]);
+  const q = getParam("q");
+  const membership = getParam("membership");
+  const sort = SORTS[getParam("sort")] ? getParam("sort") : "roll";
+  const descending = getParam("dir") === "desc";
+
+  const options = useMemo(
+    () => Object.fromEntries(Object.keys(FIELD_FILTERS).map((f) => [f, distinct(members, f)])),
+    [members]
+  );
 
-  // Open membership modal
-  const openMembershipModal = (member) => {
-    setSelectedMember(member);
+  const query = q.trim().toLowerCase();
+  const filtered = members
+    .filter(
+      (m) =>
+        matchesQuery(m, query) &&
+        Object.keys(FIELD_FILTERS).every(
+          (field) => !getParam(field) || String(m[field]) === getParam(field)
+        ) &&
+        (!membership || getMembershipState(m) === membership)
+    )
+    .sort((a, b) => {
+      const x = SORTS[sort].value(a);
+      const y = SORTS[sort].value(b);
+      const order = x < y ? -1 : x > y ? 1 : 0;
+      return descending ? -order : order;
+    });
+
+  const { page, totalPages, items: pageMembers } = paginate(
+    filtered,
+    getParam("page"),
+    MEMBERS_PER_PAGE
+  );
+
+  const hasFilters = Boolean(q || membership || Object.keys(FIELD_FILTERS).some(getParam));
+  const selectedMembers = members.filter((m) => selected.has(m._id));
+  const pageSelected = pageMembers.length > 0 && pageMembers.every((m) => selected.has(m._id));
+
+  const expiring = members.filter(
+    (m) => getMembershipState(m) === MEMBERSHIP_STATES.EXPIRING
+  );
+
+  const toggleSort = (key) =>
+    updateParams({
+      sort: key === "roll" ? "" : key,
+      dir: key === sort && !descending ? "desc" : "",
+    });
+
+  const toggle = (id) =>
+    setSelected((current) => {
+      const next = new Set(current);
+      next.has(id) ? next.delete(id) : next.add(id);
+      return next;
+    });
+
+  const togglePage = () =>
+    setSelected((current) => {
+      const next = new Set(current);
+      pageMembers.forEach((m) => (pageSelected ? next.delete(m._id) : next.add(m._id)));
+      return next;
+    });
+
+  const clearFilters = () =>
+    updateParams({
+      q: "",
+      membership: "",
+      ...Object.fromEntries(Object.keys(FIELD_FILTERS).map((f) => [f, ""])),
+    });
+
+  // Open membership modal for one member or the whole selection
+  const openMembershipModal = (targets, action) => {
+    setModalTargets(targets);
+    setModalAction(action);
     setDuration(1);
+    setNote("");
     setIsModalOpen(true);
   };
 
-  // Submit membership activation
+  // Submit activation, extension or revocation
   const handleMembershipSubmit = async () => {
-    if (!selectedMember) return;
+    if (modalTargets.length === 0) return;
 
+    setSaving(true);
     try {
-		await axios.post(
-			`${url}/user/update-membership-status/${selectedMember._id}`,
-			{
-				membership: true,
-				durationInMonths: duration,
-				slug
-			},
-			{
-				headers: {
-				Authorization: `Bearer ${token}`,
-				"Content-Type": "application/json"
-				}
-			}
-		);
-
-      // Update member locally
-      setMembers((prev) =>
-        prev.map((m) =>
-          m._id === selectedMember._id
-            ? { ...m, membership: true }
-            : m
-        )
-      );
-      setFilteredMembers((prev) =>
-        prev.map((m) =>
-          m._id === selectedMember._id
-            ? { ...m, membership: true }
-            : m
-        )
-      );
+      const [member] = modalTargets;
+      if (modalTargets.length > 1) {
+        await userApi.bulkUpdateMembership(
+          modalTargets.map((m) => m._id),
+          {
+            action: modalAction,
+            durationInMonths: modalAction === "revoke" ? undefined : duration,
+            note: modalAction === "revoke" ? note.trim() || undefined : undefined,
+          }
+        );
+        setSelected(new Set());
+      } else if (modalAction === "extend") {
+        await userApi.extendMembership(member._id, {
+          durationInMonths: duration,
+        });
+      } else {
+        await userApi.updateMembershipStatus(member._id, {
+          membership: modalAction === "activate",
+          durationInMonths: modalAction === "activate" ? duration : undefined,
+          note: modalAction === "revoke" ? note.trim() || undefined : undefined,
+        });
+      }
 
+      // reload so dates and history come back as the backend recorded them
+      await fetchMembers();
       setIsModalOpen(false);
     } catch (err) {
-      console.error("Membership activation failed:", err);
-      alert("Failed to activate membership");
+      console.error("Membership update failed:", err);
+      alert(err.message || "Failed to update membership");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sendReminders = async (targets) => {
+    if (!window.confirm(`Email a renewal reminder to ${targets.length} member(s)?`)) return;
+    setReminding(true);
+    try {
+      const data = await userApi.sendMembershipReminders(targets.map((m) => m._id));
+      setMessage(data.message || `Reminders sent to ${targets.length} member(s).`);
+      fetchMembers();
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setReminding(false);
     }
   };
 
+  const exportSelected = () =>
+    downloadCsv(
+      selectedMembers,
+      EXPORT_COLUMNS,
+      `pcist-members-${new Date().toISOString().slice(0, 10)}.csv`
+    );
+
+  const sortHeader = (key) => (
+    <th className="border px-2 py-1">
+      <button onClick={() => toggleSort(key)} className="inline-flex items-center gap-1">
+        {SORTS[key].label}
+        {sort === key && <span>{descending ? "▼" : "▲"}</span>}
+      </button>
+    </th>
+  );
+
   return (
     <div className="max-w-6xl mx-auto p-6">
       <h2 className="text-3xl font-bold text-center mb-6 text-gray-800">
         Members List
       </h2>
 
-      {/* Search */}
-      <div className="mb-6 text-center">
+      {/* Renewal reminders */}
+      {expiring.length > 0 && (
+        <div className="mb-6 flex flex-col md:flex-row md:items-center justify-between gap-3 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <p className="text-sm text-yellow-900">
+            <strong>{expiring.length}</strong> membership(s) expire within the next two weeks.
+          </p>
+          <button
+            onClick={() => sendReminders(expiring)}
+            disabled={reminding}
+            className="bg-yellow-600 text-white px-3 py-1 rounded hover:bg-yellow-700 disabled:opacity-50"
+          >
+            {reminding ? "Sending..." : "Send renewal reminders"}
+          </button>
+        </div>
+      )}
+
+      {message && (
+        <p className="mb-4 text-center text-sm bg-gray-100 p-2 rounded">{message}</p>
+      )}
+
+      {/* Filters */}
+      <div className="mb-4 grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-2">
         <input
           type="text"
-          placeholder="Search by roll..."
-          value={search}
-          onChange={(e) => setSearch(e.target.value)}
-          className="border px-4 py-2 rounded-md w-full md:w-1/3 focus:ring-2 focus:ring-orange-400 focus:outline-none"
+          placeholder="Search roll, name or email..."
+          value={q}
+          onChange={(e) => updateParams({ q: e.target.value })}
+          className="col-span-2 border px-3 py-2 rounded-md text-sm focus:ring-2 focus:ring-orange-400 focus:outline-none"
         />
+        {Object.entries(FIELD_FILTERS).map(([field, allLabel]) => (
+          <select
+            key={field}
+            value={getParam(field)}
+            onChange={(e) => updateParams({ [field]: e.target.value })}
+            className="border px-3 py-2 rounded-md bg-white text-sm"
+          >
+            <option value="">{allLabel}</option>
+            {options[field].map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        ))}
+        <select
+          value={membership}
+          onChange={(e) => updateParams({ membership: e.target.value })}
+          className="border px-3 py-2 rounded-md bg-white text-sm"
+        >
+          <option value="">All memberships</option>
+          {Object.values(MEMBERSHIP_STATES).map((state) => (
+            <option key={state} value={state}>
+              {MEMBERSHIP_LABELS[state]}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-2 text-sm">
+        <p className="text-gray-600">
+          {filtered.length} of {members.length} members
+          {hasFilters && (
+            <button onClick={clearFilters} className="ml-2 text-orange-600 hover:underline">
+              Clear filters
+            </button>
+          )}
+        </p>
+
+        {/* Bulk actions */}
+        {selected.size > 0 && (
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-gray-700">{selected.size} selected</span>
+            {pageSelected && filtered.some((m) => !selected.has(m._id)) && (
+              <button
+                onClick={() => setSelected(new Set(filtered.map((m) => m._id)))}
+                className="text-orange-600 hover:underline"
+              >
+                Select all {filtered.length} matching
+              </button>
+            )}
+            <button
+              onClick={() => openMembershipModal(selectedMembers, "activate")}
+              className="bg-orange-500 text-white px-3 py-1 rounded hover:bg-orange-600"
+            >
+              Activate
+            </button>
+            <button
+              onClick={() => openMembershipModal(selectedMembers, "extend")}
+              className="border px-3 py-1 rounded hover:bg-gray-50"
+            >
+              Extend
+            </button>
+            <button
+              onClick={() => openMembershipModal(selectedMembers, "revoke")}
+              className="border border-red-300 text-red-600 px-3 py-1 rounded hover:bg-red-50"
+            >
+              Revoke
+            </button>
+            <button
+              onClick={() => sendReminders(selectedMembers)}
+              disabled={reminding}
+              className="border px-3 py-1 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              Remind
+            </button>
+            <button
+              onClick={exportSelected}
+              className="bg-slate-900 text-white px-3 py-1 rounded"
+            >
+              Export CSV
+            </button>
+            <button onClick={() => setSelected(new Set())} className="text-gray-500 hover:underline">
+              Clear
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Loading */}
@@ -137,59 +385,132 @@ const Members = () => {
         </p>
       )}
 
-      {/* Members Grid */}
-      {!loading && !error && (
-        <motion.div
-          className="grid sm:grid-cols-2 lg:grid-cols-3 gap-6"
-          initial="hidden"
-          animate="visible"
-          variants={{
-            hidden: { opacity: 0, y: 20 },
-            visible: {
-              opacity: 1,
-              y: 0,
-              transition: { staggerChildren: 0.15 },
-            },
-          }}
-        >
-          {filteredMembers.map((member) => (
-            <motion.div
-              key={member._id}
-              className="bg-white rounded-2xl shadow-md p-5 border border-gray-100 hover:shadow-xl transition cursor-pointer flex flex-col justify-between"
-              whileHover={{ scale: 1.05 }}
-              variants={{
-                hidden: { opacity: 0, y: 20 },
-                visible: { opacity: 1, y: 0 },
-              }}
-            >
-              <div>
-                <h3 className="text-xl font-semibold text-gray-900">
-                  {member.name}
-                </h3>
-                <p className="text-gray-600">Roll: {member.slug}</p>
-                <span
-                  className={`inline-block mt-3 px-3 py-1 text-sm font-medium rounded-full ${
-                    member.membership
-                      ? "bg-green-100 text-green-700"
-                      : "bg-red-100 text-red-700"
-                  }`}
-                >
-                  {member.membership ? "Active" : "Inactive"}
-                </span>
-              </div>
-              <button
-                className="mt-4 bg-orange-500 text-white px-3 py-1 rounded hover:bg-orange-600 transition"
-                onClick={() => openMembershipModal(member)}
-              >
-                Activate Membership
-              </button>
-            </motion.div>
-          ))}
-        </motion.div>
+      {/* Members Table */}
+      {!loading && !error && filtered.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm border bg-white">
+            <thead>
+              <tr className="bg-gray-50">
+                <th className="border px-2 py-1">
+                  <input
+                    type="checkbox"
+                    checked={pageSelected}
+                    onChange={togglePage}
+                    aria-label="Select this page"
+                  />
+                </th>
+                {sortHeader("roll")}
+                {sortHeader("name")}
+                {sortHeader("batch")}
+                {sortHeader("dept")}
+                <th className="border px-2 py-1">Gender</th>
+                <th className="border px-2 py-1">T-Shirt</th>
+                <th className="border px-2 py-1">Membership</th>
+                {sortHeader("expiry")}
+                <th className="border px-2 py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {pageMembers.map((member) => (
+                <React.Fragment key={member._id}>
+                  <tr className={selected.has(member._id) ? "bg-orange-50" : ""}>
+                    <td className="border px-2 py-1 text-center">
+                      <input
+                        type="checkbox"
+                        checked={selected.has(member._id)}
+                        onChange={() => toggle(member._id)}
+                      />
+                    </td>
+                    <td className="border px-2 py-1">{member.slug}</td>
+                    <td className="border px-2 py-1">
+                      {member.name || "-"}
+                      <span className="block text-xs text-gray-500">{member.email}</span>
+                    </td>
+                    <td className="border px-2 py-1">{member.batch || "-"}</td>
+                    <td className="border px-2 py-1">{member.dept || "-"}</td>
+                    <td className="border px-2 py-1">{member.gender || "-"}</td>
+                    <td className="border px-2 py-1">{member.tshirt || "-"}</td>
+                    <td className="border px-2 py-1">
+                      <span
+                        className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+                          MEMBERSHIP_STYLES[getMembershipState(member)]
+                        }`}
+                      >
+                        {MEMBERSHIP_LABELS[getMembershipState(member)]}
+                      </span>
+                    </td>
+                    <td className="border px-2 py-1">
+                      {formatMembershipDate(member.membershipExpiresAt)}
+                    </td>
+                    <td className="border px-2 py-1">
+                      <div className="flex flex-wrap gap-1 text-xs">
+                        {isMembershipActive(member) ? (
+                          <>
+                            <button
+                              className="bg-orange-500 text-white px-2 py-0.5 rounded hover:bg-orange-600 transition"
+                              onClick={() => openMembershipModal([member], "extend")}
+                            >
+                              Extend
+                            </button>
+                            <button
+                              className="border border-red-300 text-red-600 px-2 py-0.5 rounded hover:bg-red-50 transition"
+                              onClick={() => openMembershipModal([member], "revoke")}
+                            >
+                              Revoke
+                            </button>
+                          </>
+                        ) : (
+                          <button
+                            className="bg-orange-500 text-white px-2 py-0.5 rounded hover:bg-orange-600 transition"
+                            onClick={() => openMembershipModal([member], "activate")}
+                          >
+                            Activate
+                          </button>
+                        )}
+                        {member.membershipHistory?.length > 0 && (
+                          <button
+                            className="border px-2 py-0.5 rounded hover:bg-gray-50 transition"
+                            onClick={() =>
+                              setHistoryFor(historyFor === member._id ? "" : member._id)
+                            }
+                          >
+                            {historyFor === member._id ? "Hide" : "History"}
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                  {historyFor === member._id && (
+                    <tr>
+                      <td colSpan="10" className="border px-4 py-2 bg-gray-50">
+                        <ul className="space-y-1 text-xs text-gray-600">
+                          {describeMembershipHistory(member).map((entry) => (
+                            <li key={entry.key}>
+                              <span className="text-gray-400">
+                                {formatMembershipDate(entry.at)}:
+                              </span>{" "}
+                              {entry.text}
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
       )}
 
+      <Pagination
+        page={page}
+        totalPages={totalPages}
+        onChange={(p) => updateParams({ page: p > 1 ? String(p) : "" })}
+      />
+
       {/* No Members */}
-      {!loading && !error && filteredMembers.length === 0 && (
+      {!loading && !error && filtered.length === 0 && (
         <p className="text-center text-gray-600 mt-4">No members found.</p>
       )}
 
@@ -198,23 +519,55 @@ const Members = () => {
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
           <div className="bg-white p-6 rounded-lg w-80 relative">
             <h2 className="text-xl font-semibold mb-4 text-center">
-              Activate Membership
+              {MODAL_TITLES[modalAction]}
             </h2>
             <p className="mb-3 text-center">
-              Member: {selectedMember?.name}
+              {modalTargets.length > 1
+                ? `${modalTargets.length} members selected`
+                : `Member: ${modalTargets[0]?.name}`}
             </p>
-            <div className="mb-4">
-              <label className="block mb-2 font-medium">Duration (months)</label>
-              <select
-                value={duration}
-                onChange={(e) => setDuration(Number(e.target.value))}
-                className="w-full border px-3 py-2 rounded"
-              >
-                <option value={1}>1 Month</option>
-                <option value={2}>2 Months</option>
-                <option value={3}>3 Months</option>
-              </select>
-            </div>
+            {modalAction === "revoke" ? (
+              <div className="mb-4">
+                <p className="text-sm text-gray-600 mb-2">
+                  Membership ends immediately
+                  {modalTargets.length === 1 &&
+                    modalTargets[0].membershipExpiresAt &&
+                    ` instead of on ${formatMembershipDate(modalTargets[0].membershipExpiresAt)}`}
+                  .
+                </p>
+                <label className="block mb-2 font-medium">Reason (optional)</label>
+                <input
+                  type="text"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  className="w-full border px-3 py-2 rounded"
+                />
+              </div>
+            ) : (
+              <div className="mb-4">
+                <label className="block mb-2 font-medium">
+                  {modalAction === "extend" ? "Extend by" : "Duration"} (months)
+                </label>
+                <select
+                  value={duration}
+                  onChange={(e) => setDuration(Number(e.target.value))}
+                  className="w-full border px-3 py-2 rounded"
+                >
+                  {MEMBERSHIP_DURATIONS.map((months) => (
+                    <option key={months} value={months}>
+                      {months} Month{months > 1 ? "s" : ""}
+                    </option>
+                  ))}
+                </select>
+                {modalAction === "extend" &&
+                  modalTargets.length === 1 &&
+                  modalTargets[0].membershipExpiresAt && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Currently expires {formatMembershipDate(modalTargets[0].membershipExpiresAt)}.
+                    </p>
+                  )}
+              </div>
+            )}
             <div className="flex justify-between">
               <button
                 className="bg-gray-500 text-white px-4 py-2 rounded"
@@ -223,10 +576,13 @@ const Members = () => {
                 Cancel
               </button>
               <button
-                className="bg-green-600 text-white px-4 py-2 rounded"
+                className={`text-white px-4 py-2 rounded disabled:opacity-50 ${
+                  modalAction === "revoke" ? "bg-red-600" : "bg-green-600"
+                }`}
                 onClick={handleMembershipSubmit}
+                disabled={saving}
               >
-                Activate
+                {saving ? "Saving..." : MODAL_TITLES[modalAction].split(" ")[0]}
               </button>
             </div>
           </div>
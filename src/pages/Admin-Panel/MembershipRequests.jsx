@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from "react";
+import { userApi } from "../../api";
+import {
+  MEMBERSHIP_LABELS,
+  MEMBERSHIP_STYLES,
+  formatMembershipDate,
+  getMembershipState,
+} from "../../utils/membership";
+
+const STATUS_TABS = {
+  pending: "Pending",
+  approved: "Approved",
+  rejected: "Rejected",
+};
+
+const MembershipRequests = () => {
+  const [status, setStatus] = useState("pending");
+  const [applications, setApplications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState("");
+  const [busy, setBusy] = useState("");
+
+  const fetchApplications = async () => {
+    setLoading(true);
+    try {
+      const res = await userApi.getMembershipApplications({ status });
+      setApplications(res.data || []);
+    } catch (error) {
+      setMessage(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchApplications();
+  }, [status]);
+
+  // The backend activates or extends the membership as part of the approval.
+  const handleApprove = async (application) => {
+    const unpaid = application.paymentMethod === "online" && !application.paid;
+    if (unpaid && !window.confirm("This online payment was never completed. Approve anyway?")) {
+      return;
+    }
+    setBusy(application._id);
+    setMessage("");
+    try {
+      await userApi.reviewMembershipApplication(application._id, { status: "approved" });
+      setMessage(`${application.user.name}'s membership is active.`);
+      fetchApplications();
+    } catch (error) {
+      setMessage(error.message);
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleReject = async (application) => {
+    const reason = window.prompt("Reason for declining (shown to the member):");
+    if (reason === null) return;
+    setBusy(application._id);
+    setMessage("");
+    try {
+      await userApi.reviewMembershipApplication(application._id, {
+        status: "rejected",
+        reason: reason.trim(),
+      });
+      fetchApplications();
+    } catch (error) {
+      setMessage(error.message);
+    } finally {
+      setBusy("");
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 md:p-6 rounded-lg max-w-5xl mx-auto">
+      <h2 className="text-2xl font-semibold mb-4 text-center">Membership Requests</h2>
+
+      <div className="flex justify-center gap-2 mb-4">
+        {Object.entries(STATUS_TABS).map(([value, label]) => (
+          <button
+            key={value}
+            onClick={() => setStatus(value)}
+            className={`px-3 py-1 rounded text-sm border ${
+              status === value ? "bg-slate-900 text-white" : "hover:bg-gray-50"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {message && (
+        <div className="mb-4 text-sm bg-gray-100 p-2 rounded text-center">{message}</div>
+      )}
+
+      {loading ? (
+        <p className="text-gray-600 text-center">Loading requests...</p>
+      ) : applications.length === 0 ? (
+        <p className="text-gray-600 text-center">No {STATUS_TABS[status].toLowerCase()} requests.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm border">
+            <thead>
+              <tr className="bg-gray-50">
+                <th className="border px-2 py-1">Member</th>
+                <th className="border px-2 py-1">Current</th>
+                <th className="border px-2 py-1">Plan</th>
+                <th className="border px-2 py-1">Payment</th>
+                <th className="border px-2 py-1">Requested</th>
+                <th className="border px-2 py-1">{status === "pending" ? "" : "Reviewed by"}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {applications.map((a) => (
+                <tr key={a._id}>
+                  <td className="border px-2 py-1">
+                    {a.user?.name}
+                    <span className="block text-xs text-gray-500">{a.user?.classroll}</span>
+                  </td>
+                  <td className="border px-2 py-1">
+                    <span
+                      className={`px-2 py-0.5 rounded text-xs ${MEMBERSHIP_STYLES[getMembershipState(a.user)]}`}
+                    >
+                      {MEMBERSHIP_LABELS[getMembershipState(a.user)]}
+                    </span>
+                    {a.user?.membershipExpiresAt && (
+                      <span className="block text-xs text-gray-500">
+                        until {formatMembershipDate(a.user.membershipExpiresAt)}
+                      </span>
+                    )}
+                  </td>
+                  <td className="border px-2 py-1">
+                    {a.durationInMonths} month{a.durationInMonths > 1 ? "s" : ""} · ৳{a.fee}
+                  </td>
+                  <td className="border px-2 py-1">
+                    {a.paymentMethod === "online" ? (
+                      <span className={a.paid ? "text-green-700" : "text-yellow-700"}>
+                        Online · {a.paid ? "Paid" : "Not completed"}
+                      </span>
+                    ) : (
+                      <>
+                        {a.proof?.url ? (
+                          <a
+                            href={a.proof.url}
+                            target="_blank"
+                            rel="noreferrer"
+                            className="text-blue-600 underline"
+                          >
+                            View proof
+                          </a>
+                        ) : (
+                          "No proof"
+                        )}
+                        {a.transactionId && (
+                          <span className="block text-xs text-gray-500">TrxID: {a.transactionId}</span>
+                        )}
+                      </>
+                    )}
+                  </td>
+                  <td className="border px-2 py-1">{formatMembershipDate(a.createdAt)}</td>
+                  <td className="border px-2 py-1">
+                    {status === "pending" ? (
+                      <div className="flex gap-1 justify-center">
+                        <button
+                          onClick={() => handleApprove(a)}
+                          disabled={busy === a._id}
+                          className="bg-green-600 text-white px-2 py-0.5 rounded text-xs disabled:opacity-50"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => handleReject(a)}
+                          disabled={busy === a._id}
+                          className="border border-red-300 text-red-600 px-2 py-0.5 rounded text-xs disabled:opacity-50"
+                        >
+                          Decline
+                        </button>
+                      </div>
+                    ) : (
+                      <>
+                        {a.reviewedBy?.name || "-"}
+                        {a.reason && <span className="block text-xs text-gray-500">{a.reason}</span>}
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MembershipRequests;
@@ -1,9 +1,10 @@
 // src/pages/Admin-Panel/PadGeneration.jsx
 import React, { useState } from "react";
-import axios from "axios";
 import { ClipLoader } from "react-spinners";
 import { FiUpload, FiDownload, FiPlusCircle, FiTrash2 } from "react-icons/fi";
 import { motion } from "framer-motion";
+import { padApi } from "../../api";
+import { saveBlob } from "../../utils/download";
 
 const PadGeneration = () => {
   const [pdfFile, setPdfFile] = useState(null);
@@ -14,10 +15,6 @@ const PadGeneration = () => {
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ type: "", text: "" });
 
-  const url = import.meta.env.VITE_BACKEND_URL;
-  const slug = localStorage.getItem("slug");
-  const token = localStorage.getItem("token");
-
   const handleFileChange = (e) => {
     const file = e.target.files[0];
     if (file && file.type === "application/pdf") {
@@ -60,7 +57,6 @@ const PadGeneration = () => {
 
     try {
       const formData = new FormData();
-      formData.append("slug", slug);
       formData.append("statementPdf", pdfFile);
 
       // Add authorizers (filter out empty ones)
@@ -75,33 +71,8 @@ const PadGeneration = () => {
       if (contactPhone) formData.append("contactPhone", contactPhone);
       if (address) formData.append("address", address);
 
-      const res = await axios.post(`${url}/user/pad/download`, formData, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "multipart/form-data",
-        },
-        responseType: "blob",
-      });
-
-      // Create download link
-      const blob = new Blob([res.data], { type: "application/pdf" });
-      const downloadUrl = window.URL.createObjectURL(blob);
-      const link = document.createElement("a");
-      link.href = downloadUrl;
-
-      // Extract filename from response headers or use default
-      const contentDisposition = res.headers["content-disposition"];
-      let filename = "pcIST-PAD.pdf";
-      if (contentDisposition) {
-        const filenameMatch = contentDisposition.match(/filename="?(.+)"?/);
-        if (filenameMatch) filename = filenameMatch[1];
-      }
-
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(downloadUrl);
+      const { blob, filename } = await padApi.downloadPad(formData);
+      saveBlob(blob, filename);
 
       setMessage({
         type: "success",
@@ -122,8 +93,7 @@ const PadGeneration = () => {
       setMessage({
         type: "error",
         text:
-          err.response?.data?.message ||
-          "Failed to generate PAD. Please try again.",
+          err.data?.message || "Failed to generate PAD. Please try again.",
       });
     } finally {
       setLoading(false);
@@ -1,9 +1,11 @@
 // src/components/admin/PadHistory.jsx
 import React, { useEffect, useState, useMemo } from "react";
-import axios from "axios";
 import { ClipLoader } from "react-spinners";
 import { FiRefreshCcw, FiSearch, FiDownload, FiEye } from "react-icons/fi";
 import { motion, AnimatePresence } from "framer-motion";
+import { Link } from "react-router-dom";
+import { padApi } from "../../api";
+import { verifyPath } from "../../utils/verify";
 
 const dateFmt = (iso) => {
   if (!iso) return "-";
@@ -28,29 +30,16 @@ const PadHistory = () => {
   const [selected, setSelected] = useState(null);
   const [modalOpen, setModalOpen] = useState(false);
 
-  const url = import.meta.env.VITE_BACKEND_URL;
-  const slug = localStorage.getItem("slug");
-  const token = localStorage.getItem("token");
-
   const fetchPads = async () => {
     setLoading(true);
     setError("");
     try {
-      const res = await axios.get(`${url}/user/pad/history`, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "x-user-slug": slug,
-          "x-slug": slug,
-        },
-        params: {
-          slug,
-        },
-      });
-      setPads(res.data?.data || []);
+      const data = await padApi.getPadHistory();
+      setPads(data?.data || []);
     } catch (err) {
       console.error(err);
       setError(
-        err?.response?.data?.message ||
+        err.data?.message ||
           "Unable to load pad history. Please check console or try again."
       );
     } finally {
@@ -217,7 +206,13 @@ const PadHistory = () => {
                     <tr key={p._id} className="hover:bg-gray-50 align-top">
                       <td className="py-3 px-3 border-b align-top">
                         <div className="text-sm font-medium">
-                          {p.serial || "-"}
+                          {p.serial ? (
+                            <Link to={verifyPath(p.serial)} className="hover:text-orange-600">
+                              {p.serial}
+                            </Link>
+                          ) : (
+                            "-"
+                          )}
                         </div>
                         <div className="text-xs text-gray-400">
                           {p.dateStr || ""}
@@ -1,12 +1,318 @@
-import React, { useEffect, useState } from "react";
+import React, { useContext, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { UserContext } from "../../context/UserContext";
+import { eventApi } from "../../api";
+import { isWithdrawn, registrationRows } from "../../utils/registration";
+import { downloadCsv, downloadXlsx } from "../../utils/spreadsheet";
+import RegistrationHistory from "../../components/RegistrationHistory";
+import { QUESTION_TYPES, answerColumns, answersOf, formatAnswer } from "../../utils/questions";
+
+const STATUS_FILTERS = {
+  all: "All active",
+  paid: "Paid",
+  pending: "Pending",
+  withdrawn: "Withdrawn",
+};
+
+const matchesStatus = (row, status) => {
+  if (status === "withdrawn") return row.withdrawn;
+  if (row.withdrawn) return false;
+  if (status === "paid") return row.paid;
+  if (status === "pending") return !row.paid;
+  return true;
+};
+
+const matchesSearch = (row, query) => {
+  if (!query) return true;
+  const { member, team } = row;
+  return [member.Name, member.name, member.email, member.classroll, team?.teamName]
+    .filter((v) => v != null)
+    .some((v) => String(v).toLowerCase().includes(query));
+};
+
+const paymentLabel = (row) => (row.withdrawn ? "Withdrawn" : row.paid ? "Paid" : "Pending");
+
+const EXPORT_COLUMNS = [
+  { header: "Team", value: (r) => r.team?.teamName || "" },
+  { header: "Class Roll", value: (r) => Number(r.member.classroll) || r.member.classroll },
+  { header: "Name", value: (r) => r.member.Name || r.member.name },
+  { header: "Email", value: (r) => r.member.email },
+  { header: "Payment", value: paymentLabel },
+];
+
+// Uploaded files open in a new tab; everything else is shown as text.
+const Answer = ({ question, value }) =>
+  question.type === QUESTION_TYPES.FILE && value?.url ? (
+    <a href={value.url} target="_blank" rel="noreferrer" className="text-blue-600 underline">
+      {value.name || "View file"}
+    </a>
+  ) : (
+    formatAnswer(question, value) || "-"
+  );
+
+const fileSlug = (name) => (name || "event").replace(/[^a-z0-9]+/gi, "-").toLowerCase();
 
 const RegistrationDetails = () => {
+  const { events, eventLoading, getEventMessage, getAllEvents } = useContext(UserContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [search, setSearch] = useState("");
+  const [status, setStatus] = useState("all");
+  const [updating, setUpdating] = useState("");
+  const [message, setMessage] = useState("");
+
+  const eventId = searchParams.get("event") || "";
+  const event = events.find((e) => e._id === eventId);
+  const isTeam = Boolean(event?.registeredTeams);
+  const questions = event?.questions || [];
+  const exportColumns = [...EXPORT_COLUMNS, ...answerColumns(event)];
+  const fee = Number(event?.registrationFee) || 0;
+
+  const allRows = useMemo(() => registrationRows(event), [event]);
+  const rows = allRows.filter(
+    (r) => matchesStatus(r, status) && matchesSearch(r, search.trim().toLowerCase())
+  );
+
+  const active = allRows.filter((r) => !r.withdrawn);
+  const paidCount = active.filter((r) => r.paid).length;
+
+  // team events are listed team by team, in registration order
+  const groups = isTeam
+    ? (event.registeredTeams || [])
+        .map((team) => ({ team, rows: rows.filter((r) => r.team === team) }))
+        .filter((g) => g.rows.length > 0)
+    : [{ team: null, rows }];
+
+  const selectEvent = (id) => {
+    setSearchParams(id ? { event: id } : {});
+    setMessage("");
+  };
+
+  const updatePayment = async (key, target, paymentStatus) => {
+    setUpdating(key);
+    setMessage("");
+    try {
+      await eventApi.setPaymentStatus(event._id, { ...target, paymentStatus });
+      await getAllEvents();
+    } catch (error) {
+      setMessage(error.message);
+    } finally {
+      setUpdating("");
+    }
+  };
+
+  const exportName = `${fileSlug(event?.eventName)}-registrations`;
 
   return (
-    <div className="w-full bg-gray-50 min-h-screen">
-      Registration details
+    <div className="bg-white p-4 md:p-6 rounded-lg max-w-5xl mx-auto">
+      <h2 className="text-2xl font-semibold mb-4 text-center">Registration Details</h2>
+
+      {eventLoading && <p className="text-gray-600 text-center">Loading events...</p>}
+
+      {!eventLoading && getEventMessage && (
+        <div className="text-red-600 bg-red-100 p-3 rounded mb-4 text-center">
+          {getEventMessage}
+        </div>
+      )}
+
+      {!eventLoading && !getEventMessage && (
+        <select
+          value={eventId}
+          onChange={(e) => selectEvent(e.target.value)}
+          className="w-full border px-3 py-2 rounded mb-4 bg-white"
+        >
+          <option value="">Select an event</option>
+          {events.map((e) => (
+            <option key={e._id} value={e._id}>
+              {e.eventName} ({new Date(e.date).toLocaleDateString()})
+            </option>
+          ))}
+        </select>
+      )}
+
+      {message && (
+        <div className="mb-4 text-sm text-white bg-red-500 p-2 rounded text-center">
+          {message}
+        </div>
+      )}
+
+      {event && (
+        <>
+          {/* Totals */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-center">
+            <div className="border rounded p-3">
+              <p className="text-xs text-gray-500">{isTeam ? "Teams" : "Participants"}</p>
+              <p className="text-xl font-semibold">
+                {isTeam
+                  ? (event.registeredTeams || []).filter((t) => !isWithdrawn(t)).length
+                  : active.length}
+              </p>
+            </div>
+            <div className="border rounded p-3">
+              <p className="text-xs text-gray-500">Paid</p>
+              <p className="text-xl font-semibold text-green-700">{paidCount}</p>
+            </div>
+            <div className="border rounded p-3">
+              <p className="text-xs text-gray-500">Pending</p>
+              <p className="text-xl font-semibold text-yellow-700">{active.length - paidCount}</p>
+            </div>
+            <div className="border rounded p-3">
+              <p className="text-xs text-gray-500">Collected</p>
+              <p className="text-xl font-semibold">
+                {fee ? `৳${(paidCount * fee).toLocaleString()}` : "Free"}
+              </p>
+              {fee > 0 && (
+                <p className="text-xs text-gray-400">
+                  of ৳{(active.length * fee).toLocaleString()}
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Search, filter, export */}
+          <div className="flex flex-col md:flex-row gap-2 mb-4">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder={isTeam ? "Search name, roll, email or team" : "Search name, roll or email"}
+              className="flex-1 border px-3 py-2 rounded"
+            />
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="border px-3 py-2 rounded bg-white"
+            >
+              {Object.entries(STATUS_FILTERS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => downloadCsv(rows, exportColumns, `${exportName}.csv`)}
+              disabled={rows.length === 0}
+              className="bg-slate-900 text-white px-3 py-2 rounded disabled:opacity-50"
+            >
+              Export CSV
+            </button>
+            <button
+              onClick={() => downloadXlsx(rows, exportColumns, `${exportName}.xlsx`, "Registrations")}
+              disabled={rows.length === 0}
+              className="bg-green-600 text-white px-3 py-2 rounded disabled:opacity-50"
+            >
+              Export XLSX
+            </button>
+          </div>
+
+          {rows.length === 0 ? (
+            <p className="text-gray-600 text-center">No registrations match.</p>
+          ) : (
+            groups.map(({ team, rows: groupRows }) => {
+              const teamPaid = team && groupRows.every((r) => r.paid);
+              const teamKey = team && `team-${team._id}`;
+
+              return (
+                <div key={team?._id || "solo"} className="mb-6">
+                  {team && (
+                    <div className="flex items-center justify-between mb-2">
+                      <h3 className="font-semibold text-green-700">
+                        Team: {team.teamName}
+                        {isWithdrawn(team) && (
+                          <span className="ml-2 text-xs font-normal text-red-600">(Withdrawn)</span>
+                        )}
+                      </h3>
+                      {!isWithdrawn(team) && (
+                        <button
+                          onClick={() => updatePayment(teamKey, { teamId: team._id }, !teamPaid)}
+                          disabled={updating === teamKey}
+                          className="text-xs border px-2 py-1 rounded hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          {updating === teamKey
+                            ? "Saving..."
+                            : teamPaid
+                              ? "Mark team pending"
+                              : "Mark team paid"}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  {team && questions.length > 0 && (
+                    <dl className="mb-2 grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1 text-xs">
+                      {questions.map((q) => (
+                        <div key={q.id} className="flex gap-1">
+                          <dt className="text-gray-500">{q.label}:</dt>
+                          <dd className="text-gray-800">
+                            <Answer question={q} value={(team.answers || {})[q.id]} />
+                          </dd>
+                        </div>
+                      ))}
+                    </dl>
+                  )}
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm border">
+                      <thead>
+                        <tr className="bg-gray-50">
+                          <th className="border px-2 py-1">Class Roll</th>
+                          <th className="border px-2 py-1">Name</th>
+                          <th className="border px-2 py-1">Email</th>
+                          <th className="border px-2 py-1">Payment</th>
+                          {!team &&
+                            questions.map((q) => (
+                              <th key={q.id} className="border px-2 py-1">{q.label}</th>
+                            ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {groupRows.map((row) => (
+                          <tr key={row.key} className={row.withdrawn ? "text-gray-400" : ""}>
+                            <td className="border px-2 py-1">{row.member.classroll || "-"}</td>
+                            <td className="border px-2 py-1">
+                              {row.member.Name || row.member.name || "-"}
+                              {!team && <RegistrationHistory registration={row.member} />}
+                            </td>
+                            <td className="border px-2 py-1">{row.member.email || "-"}</td>
+                            <td className="border px-2 py-1">
+                              {row.withdrawn ? (
+                                "Withdrawn"
+                              ) : (
+                                <label className="inline-flex items-center gap-2 cursor-pointer">
+                                  <input
+                                    type="checkbox"
+                                    checked={row.paid}
+                                    disabled={updating === row.key}
+                                    onChange={() =>
+                                      updatePayment(
+                                        row.key,
+                                        { teamId: team?._id, memberId: row.memberId },
+                                        !row.paid
+                                      )
+                                    }
+                                    className="h-4 w-4"
+                                  />
+                                  <span className={row.paid ? "text-green-700" : "text-yellow-700"}>
+                                    {paymentLabel(row)}
+                                  </span>
+                                </label>
+                              )}
+                            </td>
+                            {!team &&
+                              questions.map((q) => (
+                                <td key={q.id} className="border px-2 py-1">
+                                  <Answer question={q} value={answersOf(row)[q.id]} />
+                                </td>
+                              ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {team && <RegistrationHistory registration={team} />}
+                </div>
+              );
+            })
+          )}
+        </>
+      )}
     </div>
   );
 };
 
-export default RegistrationDetails;
\ No newline at end of file
+export default RegistrationDetails;
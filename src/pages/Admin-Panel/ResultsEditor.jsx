@@ -0,0 +1,261 @@
+import React, { useContext, useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { FiArrowDown, FiArrowUp, FiPlusCircle, FiTrash2 } from "react-icons/fi";
+import { UserContext } from "../../context/UserContext";
+import { eventApi, galleryApi } from "../../api";
+import { activeMembers, activeTeams } from "../../utils/registration";
+
+const DEFAULT_WINNER_TITLES = ["Champion", "1st Runner-up", "2nd Runner-up"];
+
+const inputClass = "border px-2 py-1 rounded w-full";
+
+// Results start from what was saved, or from an empty podium.
+const toForm = (results) => ({
+  standings: (results?.standings || []).map((s) => ({ name: s.name || "", score: s.score ?? "" })),
+  winners: results?.winners?.length
+    ? results.winners.map((w) => ({ title: w.title || "", name: w.name || "" }))
+    : DEFAULT_WINNER_TITLES.map((title) => ({ title, name: "" })),
+  photos: (results?.photos || []).map((p) => p.url),
+});
+
+const ResultsEditor = () => {
+  const { id } = useParams();
+  const { events, eventLoading, getAllEvents } = useContext(UserContext);
+  const event = events.find((e) => e._id === id);
+
+  const [form, setForm] = useState(null);
+  const [gallery, setGallery] = useState([]);
+  const [galleryError, setGalleryError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    if (event && !form) setForm(toForm(event.results));
+  }, [event, form]);
+
+  useEffect(() => {
+    galleryApi
+      .getGalleryImages()
+      .then((data) => setGallery(data.images || []))
+      .catch((error) => setGalleryError(error.message));
+  }, []);
+
+  if (eventLoading) return <p className="text-gray-600 text-center">Loading event...</p>;
+  if (!event) return <p className="text-gray-600 text-center">Event not found.</p>;
+  if (!form) return null;
+
+  // participants to pick from when typing standings and winners
+  const participantNames = event.registeredTeams
+    ? activeTeams(event).map((t) => t.teamName)
+    : activeMembers(event).map((m) => m.Name || m.name);
+
+  const updateRow = (list, idx, patch) =>
+    setForm((prev) => ({
+      ...prev,
+      [list]: prev[list].map((row, i) => (i === idx ? { ...row, ...patch } : row)),
+    }));
+
+  const addRow = (list, row) => setForm((prev) => ({ ...prev, [list]: [...prev[list], row] }));
+
+  const removeRow = (list, idx) =>
+    setForm((prev) => ({ ...prev, [list]: prev[list].filter((_, i) => i !== idx) }));
+
+  const moveStanding = (idx, offset) =>
+    setForm((prev) => {
+      const target = idx + offset;
+      if (target < 0 || target >= prev.standings.length) return prev;
+      const standings = [...prev.standings];
+      [standings[idx], standings[target]] = [standings[target], standings[idx]];
+      return { ...prev, standings };
+    });
+
+  const togglePhoto = (url) =>
+    setForm((prev) => ({
+      ...prev,
+      photos: prev.photos.includes(url)
+        ? prev.photos.filter((u) => u !== url)
+        : [...prev.photos, url],
+    }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage("");
+    try {
+      // rank follows the order of the standings table
+      const res = await eventApi.updateEventResults(event._id, {
+        standings: form.standings
+          .filter((s) => s.name.trim())
+          .map((s, i) => ({ rank: i + 1, name: s.name.trim(), score: String(s.score).trim() })),
+        winners: form.winners
+          .filter((w) => w.title.trim() && w.name.trim())
+          .map((w) => ({ title: w.title.trim(), name: w.name.trim() })),
+        photos: form.photos.map((url) => ({ url })),
+      });
+      setMessage(res.message || "Results saved ✅");
+      getAllEvents();
+    } catch (error) {
+      setMessage(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 md:p-6 rounded-lg max-w-4xl mx-auto">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold">Results: {event.eventName}</h2>
+        <Link to={`/events/${event._id}`} className="text-sm text-orange-600 hover:underline">
+          View event page
+        </Link>
+      </div>
+
+      {message && (
+        <div className="mb-4 text-sm text-white bg-[#FF6900] p-2 rounded">{message}</div>
+      )}
+
+      <datalist id="result-participants">
+        {participantNames.filter(Boolean).map((name) => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+
+      {/* Winners */}
+      <section className="mb-8">
+        <h3 className="font-semibold text-gray-800 mb-2">Winners</h3>
+        <div className="space-y-2">
+          {form.winners.map((w, idx) => (
+            <div key={idx} className="flex gap-2 items-center">
+              <input
+                value={w.title}
+                onChange={(e) => updateRow("winners", idx, { title: e.target.value })}
+                placeholder="Award (e.g. Champion)"
+                className={inputClass}
+              />
+              <input
+                value={w.name}
+                onChange={(e) => updateRow("winners", idx, { name: e.target.value })}
+                placeholder={event.registeredTeams ? "Team name" : "Participant name"}
+                list="result-participants"
+                className={inputClass}
+              />
+              <button
+                onClick={() => removeRow("winners", idx)}
+                className="p-1 text-red-600 hover:bg-red-50 rounded"
+                aria-label={`Remove award ${idx + 1}`}
+              >
+                <FiTrash2 />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => addRow("winners", { title: "", name: "" })}
+          className="mt-2 text-xs inline-flex items-center gap-1 px-2 py-1 bg-green-50 border rounded hover:bg-green-100"
+        >
+          <FiPlusCircle /> Add award
+        </button>
+      </section>
+
+      {/* Standings */}
+      <section className="mb-8">
+        <h3 className="font-semibold text-gray-800 mb-2">Standings</h3>
+        <p className="text-xs text-gray-500 mb-2">Rows are ranked top to bottom.</p>
+        <div className="space-y-2">
+          {form.standings.map((s, idx) => (
+            <div key={idx} className="flex gap-2 items-center">
+              <span className="w-8 text-center text-sm text-gray-500">{idx + 1}</span>
+              <input
+                value={s.name}
+                onChange={(e) => updateRow("standings", idx, { name: e.target.value })}
+                placeholder={event.registeredTeams ? "Team name" : "Participant name"}
+                list="result-participants"
+                className={inputClass}
+              />
+              <input
+                value={s.score}
+                onChange={(e) => updateRow("standings", idx, { score: e.target.value })}
+                placeholder="Score"
+                className="border px-2 py-1 rounded w-28"
+              />
+              <button
+                onClick={() => moveStanding(idx, -1)}
+                disabled={idx === 0}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+                aria-label={`Move row ${idx + 1} up`}
+              >
+                <FiArrowUp />
+              </button>
+              <button
+                onClick={() => moveStanding(idx, 1)}
+                disabled={idx === form.standings.length - 1}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+                aria-label={`Move row ${idx + 1} down`}
+              >
+                <FiArrowDown />
+              </button>
+              <button
+                onClick={() => removeRow("standings", idx)}
+                className="p-1 text-red-600 hover:bg-red-50 rounded"
+                aria-label={`Remove row ${idx + 1}`}
+              >
+                <FiTrash2 />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => addRow("standings", { name: "", score: "" })}
+          className="mt-2 text-xs inline-flex items-center gap-1 px-2 py-1 bg-green-50 border rounded hover:bg-green-100"
+        >
+          <FiPlusCircle /> Add row
+        </button>
+      </section>
+
+      {/* Gallery photos */}
+      <section className="mb-8">
+        <h3 className="font-semibold text-gray-800 mb-2">
+          Gallery photos <span className="text-sm font-normal text-gray-500">({form.photos.length} selected)</span>
+        </h3>
+        {galleryError && <p className="text-sm text-red-600">{galleryError}</p>}
+        {!galleryError && gallery.length === 0 && (
+          <p className="text-sm text-gray-500">
+            The gallery is empty. <Link to="/admin-panel/gallery" className="text-orange-600">Upload images</Link> first.
+          </p>
+        )}
+        <div className="grid grid-cols-3 md:grid-cols-5 gap-2 max-h-80 overflow-y-auto">
+          {gallery.map((image) => {
+            const selected = form.photos.includes(image.url);
+            return (
+              <button
+                key={image.url}
+                type="button"
+                onClick={() => togglePhoto(image.url)}
+                className={`relative rounded overflow-hidden border-2 ${
+                  selected ? "border-orange-500" : "border-transparent"
+                }`}
+                aria-pressed={selected}
+              >
+                <img src={image.url} alt="Gallery" className="h-20 w-full object-cover" />
+                {selected && (
+                  <span className="absolute top-1 right-1 text-[10px] bg-orange-500 text-white px-1 rounded">
+                    ✓
+                  </span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      </section>
+
+      <button
+        onClick={handleSave}
+        disabled={saving}
+        className="w-full bg-orange-500 text-white py-2 font-semibold rounded-sm hover:bg-orange-600 transition disabled:opacity-60"
+      >
+        {saving ? "Saving..." : "Save Results"}
+      </button>
+    </div>
+  );
+};
+
+export default ResultsEditor;
@@ -1,11 +1,250 @@
-import React from 'react'
+import React, { useContext, useEffect, useState } from "react";
+import { userApi } from "../../api";
+import { UserContext } from "../../context/UserContext";
+import { formatMembershipDate } from "../../utils/membership";
+import {
+  MODULE_LABELS,
+  MODULE_ROLES,
+  ROLES,
+  ROLE_LABELS,
+  ROLE_STYLES,
+  roleOf,
+} from "../../utils/roles";
 
+const RoleBadge = ({ role }) => (
+  <span className={`px-2 py-0.5 rounded text-xs ${ROLE_STYLES[role]}`}>{ROLE_LABELS[role]}</span>
+);
+
+// Role management: who holds which role, what each role can open, and the audit trail.
 const Settings = () => {
-	return (
-		<div>
-			Settings
-		</div>
-	)
-}
-
-export default Settings
\ No newline at end of file
+  const { currentUser } = useContext(UserContext);
+  const [members, setMembers] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState("");
+  const [search, setSearch] = useState("");
+  const [editing, setEditing] = useState(null); // { member, role, reason }
+  const [saving, setSaving] = useState(false);
+
+  const fetchData = async () => {
+    try {
+      const [users, log] = await Promise.all([userApi.getUserList(), userApi.getRoleAuditLog()]);
+      setMembers(users.data || []);
+      setAuditLog(log.data || []);
+    } catch (error) {
+      setMessage(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const query = search.trim().toLowerCase();
+  const staff = members.filter((m) => roleOf(m) !== ROLES.MEMBER);
+  const matches = query
+    ? members.filter((m) =>
+        [m.slug, m.name, m.email].some((field) => String(field || "").toLowerCase().includes(query))
+      )
+    : [];
+  const superAdmins = staff.filter((m) => roleOf(m) === ROLES.ADMIN).length;
+
+  const handleSave = async () => {
+    const { member, role, reason } = editing;
+    if (role === roleOf(member)) return setEditing(null);
+    if (roleOf(member) === ROLES.ADMIN && superAdmins <= 1) {
+      return setMessage("There must always be at least one Super Admin.");
+    }
+
+    setSaving(true);
+    setMessage("");
+    try {
+      await userApi.updateUserRole(member._id, { role, reason: reason.trim() || undefined });
+      setMessage(`${member.name} is now ${ROLE_LABELS[role]}.`);
+      setEditing(null);
+      fetchData();
+    } catch (error) {
+      setMessage(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const memberRow = (member) => {
+    const isSelf = member._id === currentUser?._id;
+    return (
+      <tr key={member._id}>
+        <td className="border px-2 py-1">
+          {member.name || "-"}
+          <span className="block text-xs text-gray-500">{member.slug}</span>
+        </td>
+        <td className="border px-2 py-1">
+          <RoleBadge role={roleOf(member)} />
+        </td>
+        <td className="border px-2 py-1 text-center">
+          {isSelf ? (
+            <span className="text-xs text-gray-400">You</span>
+          ) : (
+            <button
+              onClick={() => setEditing({ member, role: roleOf(member), reason: "" })}
+              className="border px-2 py-0.5 rounded text-xs hover:bg-gray-50"
+            >
+              Change role
+            </button>
+          )}
+        </td>
+      </tr>
+    );
+  };
+
+  return (
+    <div className="bg-white p-4 md:p-6 rounded-lg max-w-5xl mx-auto">
+      <h2 className="text-2xl font-semibold mb-4 text-center">Roles &amp; Permissions</h2>
+
+      {message && (
+        <div className="mb-4 text-sm bg-gray-100 p-2 rounded text-center">{message}</div>
+      )}
+
+      {/* Permission matrix */}
+      <section className="mb-8">
+        <h3 className="font-semibold text-gray-800 mb-2">What each role can use</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm border">
+            <thead>
+              <tr className="bg-gray-50">
+                <th className="border px-2 py-1 text-left">Module</th>
+                {Object.values(ROLES).map((role) => (
+                  <th key={role} className="border px-2 py-1">
+                    {ROLE_LABELS[role]}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(MODULE_ROLES).map(([module, roles]) => (
+                <tr key={module}>
+                  <td className="border px-2 py-1">{MODULE_LABELS[module]}</td>
+                  {Object.values(ROLES).map((role) => (
+                    <td key={role} className="border px-2 py-1 text-center">
+                      {roles.includes(role) ? "✓" : ""}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {/* Role assignment */}
+      <section className="mb-8">
+        <h3 className="font-semibold text-gray-800 mb-2">Assign roles</h3>
+        <input
+          type="text"
+          placeholder="Find a member by roll, name or email..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="w-full md:w-1/2 mb-3 border px-3 py-2 rounded-md text-sm focus:ring-2 focus:ring-orange-400 focus:outline-none"
+        />
+        {loading ? (
+          <p className="text-gray-600 text-center">Loading...</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm border">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="border px-2 py-1 text-left">Member</th>
+                  <th className="border px-2 py-1">Role</th>
+                  <th className="border px-2 py-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {(query ? matches.slice(0, 20) : staff).map(memberRow)}
+                {query && matches.length === 0 && (
+                  <tr>
+                    <td colSpan="3" className="border px-2 py-2 text-center text-gray-500">
+                      No members found.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+            {!query && (
+              <p className="mt-1 text-xs text-gray-500">
+                Showing staff only. Search to give a member a role.
+              </p>
+            )}
+          </div>
+        )}
+      </section>
+
+      {/* Audit log */}
+      <section>
+        <h3 className="font-semibold text-gray-800 mb-2">Role change log</h3>
+        {auditLog.length === 0 ? (
+          <p className="text-sm text-gray-500">No role changes recorded yet.</p>
+        ) : (
+          <ul className="space-y-1 text-sm max-h-80 overflow-y-auto">
+            {auditLog.map((entry) => (
+              <li key={entry._id} className="border-b py-1">
+                <span className="text-gray-400">{formatMembershipDate(entry.createdAt)}:</span>{" "}
+                {entry.changedBy?.name || "Someone"} changed {entry.user?.name} ({entry.user?.classroll})
+                from <RoleBadge role={roleOf({ role: entry.from })} /> to{" "}
+                <RoleBadge role={roleOf({ role: entry.to })} />
+                {entry.reason && <span className="text-gray-500"> · {entry.reason}</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {/* Role modal */}
+      {editing && (
+        <div className="fixed inset-0 bg-black/40 flex justify-center items-center z-50">
+          <div className="bg-white p-6 rounded-lg w-80">
+            <h2 className="text-xl font-semibold mb-4 text-center">Change Role</h2>
+            <p className="mb-3 text-center">{editing.member.name}</p>
+            <label className="block mb-2 font-medium">Role</label>
+            <select
+              value={editing.role}
+              onChange={(e) => setEditing({ ...editing, role: Number(e.target.value) })}
+              className="w-full border px-3 py-2 rounded mb-3"
+            >
+              {Object.values(ROLES).map((role) => (
+                <option key={role} value={role}>
+                  {ROLE_LABELS[role]}
+                </option>
+              ))}
+            </select>
+            <label className="block mb-2 font-medium">Reason (optional)</label>
+            <input
+              type="text"
+              value={editing.reason}
+              onChange={(e) => setEditing({ ...editing, reason: e.target.value })}
+              className="w-full border px-3 py-2 rounded mb-4"
+            />
+            <div className="flex justify-between">
+              <button
+                className="bg-gray-500 text-white px-4 py-2 rounded"
+                onClick={() => setEditing(null)}
+              >
+                Cancel
+              </button>
+              <button
+                className="bg-green-600 text-white px-4 py-2 rounded disabled:opacity-50"
+                onClick={handleSave}
+                disabled={saving}
+              >
+                {saving ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Settings;
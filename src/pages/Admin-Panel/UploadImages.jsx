@@ -1,12 +1,8 @@
-import React, { useState, useContext } from "react";
-import axios from "axios";
+import React, { useState } from "react";
 import { motion } from "framer-motion";
-import { UserContext } from "../../context/UserContext";
+import { galleryApi } from "../../api";
 
 const UploadImages = () => {
-  const { url } = useContext(UserContext);
-  const token = localStorage.getItem("token") || "";
-
   const [images, setImages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState("");
@@ -27,24 +23,14 @@ const UploadImages = () => {
     setLoading(true);
     setMessage("");
 
-    const formData = new FormData();
-    images.forEach((img) => {
-      formData.append("images", img);
-    });
-
     try {
-      const res = await axios.post(`${url}/event/upload_images_to_gallery`, formData, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "multipart/form-data",
-        },
-      });
+      const res = await galleryApi.uploadGalleryImages(images);
 
-      setMessage(res.data.message || "Images uploaded successfully!");
+      setMessage(res.message || "Images uploaded successfully!");
       setImages([]);
     } catch (err) {
       console.error(err);
-      setMessage(err.response?.data?.message || "Failed to upload images ❌");
+      setMessage(err.data?.message || "Failed to upload images ❌");
     }
 
     setLoading(false);
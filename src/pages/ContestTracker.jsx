@@ -2,6 +2,7 @@ import React, { useContext } from 'react'
 import ComponentHeader from '../components/ComponentHeader'
 import { UserContext } from '../context/UserContext'
 import { HashLoader } from "react-spinners";
+import { Link } from 'react-router-dom';
 
 const ContestTracker = () => {
 
@@ -20,6 +21,9 @@ const ContestTracker = () => {
 			<ComponentHeader title="Contest Tracker" route="Contest Tracker" />
 			{ cmessage && <p>Failed to fetch data from api.</p> }
 			<div className='w-full lg:w-[85%] max-w-[1200px] mx-auto py-10 px-5 lg:px-0'>
+				<div className='mb-6 flex justify-end px-5 lg:px-0'>
+					<Link to='/calendar' className='text-sm px-4 py-1.5 border rounded-sm hover:bg-gray-50'>Calendar view</Link>
+				</div>
 				<div className='w-full px-5 lg:px-0 flex flex-wrap items-center justify-center gap-5'>
 				{ contests &&
 					contests.map((contest, index) => (
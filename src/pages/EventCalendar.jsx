@@ -0,0 +1,123 @@
+import React, { useContext, useState } from "react";
+import ComponentHeader from "../components/ComponentHeader";
+import Calendar from "../components/Calendar";
+import { UserContext } from "../context/UserContext";
+import { eventApi } from "../api";
+import { fromUtcString } from "../utils/datetime";
+import { isPublicEvent } from "../utils/eventStatus";
+import { downloadCalendarIcs, subscriptionLinks } from "../utils/ical";
+
+const EventCalendar = () => {
+  const { events, contests, eventLoading, cloading } = useContext(UserContext);
+  const [copied, setCopied] = useState(false);
+
+  const clubEvents = events.filter(isPublicEvent);
+  const entries = [
+    ...clubEvents.map((e) => ({
+      key: `event-${e._id}`,
+      title: e.eventName,
+      start: new Date(e.date),
+      kind: "event",
+      to: `/events/${e._id}`,
+    })),
+    ...contests.map((c, i) => ({
+      key: `contest-${c.url || i}`,
+      title: `${c.title} (${c.site})`,
+      start: fromUtcString(c.startTime),
+      kind: "contest",
+      href: c.url,
+    })),
+  ].filter((entry) => !Number.isNaN(entry.start.getTime()));
+
+  const feedUrl = eventApi.calendarFeedUrl();
+  const links = feedUrl && subscriptionLinks(feedUrl);
+
+  const copyFeedUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      window.prompt("Copy the calendar feed URL:", feedUrl);
+    }
+  };
+
+  return (
+    <div className="w-full">
+      <ComponentHeader title="Calendar" route="Calendar" />
+      <div className="w-full lg:w-[85%] max-w-[1200px] mx-auto py-10 px-5 lg:px-0">
+        {(eventLoading || cloading) && (
+          <p className="text-center text-sm text-gray-500 mb-4">Loading events and contests...</p>
+        )}
+
+        <Calendar entries={entries} />
+
+        {/* Subscribe */}
+        <div className="mt-8 bg-white rounded-2xl shadow-md p-6">
+          <h3 className="text-lg font-semibold text-gray-800">Subscribe to pcIST events</h3>
+          {feedUrl ? (
+            <>
+              <p className="text-sm text-gray-600 mt-1">
+                Add the club calendar to Google Calendar, Outlook or Apple Calendar. New and
+                updated events show up automatically.
+              </p>
+              <div className="mt-4 flex flex-col sm:flex-row gap-2">
+                <input
+                  readOnly
+                  value={feedUrl}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 border px-3 py-2 rounded-md text-sm bg-gray-50"
+                  aria-label="Calendar feed URL"
+                />
+                <button
+                  onClick={copyFeedUrl}
+                  className="px-4 py-2 rounded-md bg-slate-900 text-white text-sm"
+                >
+                  {copied ? "Copied!" : "Copy URL"}
+                </button>
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-600 mt-1">
+              Download the club's events and import them into your calendar app.
+            </p>
+          )}
+          <div className="mt-4 flex flex-wrap gap-2 text-sm">
+            {feedUrl && (
+              <>
+                <a
+                  href={links.google}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="px-4 py-2 rounded-md border hover:bg-gray-50"
+                >
+                  Google Calendar
+                </a>
+                <a
+                  href={links.outlook}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="px-4 py-2 rounded-md border hover:bg-gray-50"
+                >
+                  Outlook
+                </a>
+                <a href={links.webcal} className="px-4 py-2 rounded-md border hover:bg-gray-50">
+                  Apple Calendar
+                </a>
+              </>
+            )}
+            <button
+              onClick={() => downloadCalendarIcs(clubEvents)}
+              disabled={clubEvents.length === 0}
+              className="px-4 py-2 rounded-md border hover:bg-gray-50 disabled:opacity-50"
+            >
+              Download .ics
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EventCalendar;
@@ -0,0 +1,14 @@
+import React from 'react'
+import { Link } from 'react-router-dom'
+
+const Forbidden = () => {
+  return (
+    <div className='min-h-screen w-full flex flex-col justify-center items-center text-center px-5'>
+      <h2 className='text-6xl font-bold text-[#FF6900]'>403</h2>
+      <p className='mt-4 text-lg text-gray-700'>You don't have permission to view this page.</p>
+      <Link to='/' className='mt-6 px-5 py-1.5 bg-gray-300 rounded-full'>Back to Home</Link>
+    </div>
+  )
+}
+
+export default Forbidden
@@ -0,0 +1,65 @@
+import React from "react";
+import { useSearchParams } from "react-router-dom";
+import { MOCK_PAYMENTS_ENABLED } from "../utils/paymentGateways";
+
+// Only ever send the payer back into this site.
+const isSameOrigin = (url) => {
+  try {
+    return new URL(url).origin === window.location.origin;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Sandbox checkout page standing in for a real gateway: it redirects back
+ * to the callback with whatever outcome the tester picks.
+ */
+const MockGateway = () => {
+  const [searchParams] = useSearchParams();
+  const paymentId = searchParams.get("paymentId");
+  const amount = searchParams.get("amount");
+  const returnUrl = searchParams.get("returnUrl");
+
+  if (!MOCK_PAYMENTS_ENABLED || !paymentId || !isSameOrigin(returnUrl)) {
+    return <p className="text-center mt-20 text-xl">Page not found</p>;
+  }
+
+  const finish = (status) => {
+    const url = new URL(returnUrl);
+    url.searchParams.set("paymentId", paymentId);
+    url.searchParams.set("status", status);
+    if (status === "success") url.searchParams.set("trxID", `MOCK${Date.now()}`);
+    window.location.assign(url.toString());
+  };
+
+  return (
+    <div className="min-h-[70vh] flex items-center justify-center p-6">
+      <div className="w-full max-w-sm border-2 border-dashed border-gray-400 rounded-xl p-6 text-center">
+        <p className="text-xs uppercase tracking-wide text-gray-500">Sandbox gateway</p>
+        <h2 className="text-2xl font-semibold mt-2">৳{amount}</h2>
+        <p className="text-xs text-gray-400 mt-1 break-all">Payment {paymentId}</p>
+        <p className="text-sm text-gray-600 mt-3">No real money is charged.</p>
+        <div className="mt-5 flex flex-col gap-2">
+          <button
+            onClick={() => finish("success")}
+            className="bg-green-600 text-white py-2 rounded hover:bg-green-700"
+          >
+            Pay
+          </button>
+          <button
+            onClick={() => finish("failure")}
+            className="bg-red-500 text-white py-2 rounded hover:bg-red-600"
+          >
+            Fail
+          </button>
+          <button onClick={() => finish("cancel")} className="border py-2 rounded hover:bg-gray-50">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MockGateway;
@@ -0,0 +1,136 @@
+import React, { useContext } from "react";
+import { Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import ComponentHeader from "../components/ComponentHeader";
+import { UserContext } from "../context/UserContext";
+import { isPastEvent, isPublicEvent } from "../utils/eventStatus";
+import useNow from "../hooks/useNow";
+import Pagination from "../components/Pagination";
+import useUrlFilters from "../hooks/useUrlFilters";
+import { paginate } from "../utils/pagination";
+
+const EVENTS_PER_PAGE = 9;
+
+const formatDate = (dateStr) =>
+  new Date(dateStr).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+const PastEvents = () => {
+  const { events, eventLoading, getEventMessage } = useContext(UserContext);
+  const now = useNow(60 * 1000);
+  const [getParam, updateParams] = useUrlFilters();
+  const year = getParam("year");
+  const type = getParam("type");
+
+  // most recent first
+  const pastEvents = events
+    .filter((e) => isPublicEvent(e) && isPastEvent(e, now))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const years = [...new Set(pastEvents.map((e) => new Date(e.date).getFullYear()))];
+
+  const filtered = pastEvents.filter(
+    (e) =>
+      (!year || new Date(e.date).getFullYear() === Number(year)) &&
+      (!type || e.eventType === type)
+  );
+
+  const { page, totalPages, items: pageEvents } = paginate(
+    filtered,
+    getParam("page"),
+    EVENTS_PER_PAGE
+  );
+
+  const changePage = (p) => {
+    updateParams({ page: p > 1 ? String(p) : "" });
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  return (
+    <div className="w-full">
+      <ComponentHeader title="Past Events" route="Events" />
+      <div className="w-full lg:w-[85%] max-w-[1200px] mx-auto py-10 px-5 lg:px-0">
+        {eventLoading && <p className="text-center text-gray-500">Loading events...</p>}
+        {!eventLoading && getEventMessage && (
+          <p className="text-center text-red-600">{getEventMessage}</p>
+        )}
+        {!eventLoading && !getEventMessage && pastEvents.length > 0 && (
+          <div className="mb-8 flex flex-wrap justify-center gap-3">
+            <select
+              value={year}
+              onChange={(e) => updateParams({ year: e.target.value })}
+              className="border px-3 py-2 rounded-md bg-white"
+              aria-label="Filter by year"
+            >
+              <option value="">All years</option>
+              {years.map((y) => (
+                <option key={y} value={y}>{y}</option>
+              ))}
+            </select>
+            <select
+              value={type}
+              onChange={(e) => updateParams({ type: e.target.value })}
+              className="border px-3 py-2 rounded-md bg-white"
+              aria-label="Filter by type"
+            >
+              <option value="">Solo & team</option>
+              <option value="solo">Solo</option>
+              <option value="team">Team</option>
+            </select>
+          </div>
+        )}
+        {!eventLoading && !getEventMessage && filtered.length === 0 && (
+          <p className="text-center text-gray-500">
+            {pastEvents.length ? "No past events match these filters." : "No past events yet."}
+          </p>
+        )}
+
+        <div className="flex flex-wrap justify-center gap-6">
+          {pageEvents.map((event, index) => (
+            <motion.div
+              key={event._id}
+              initial={{ opacity: 0, y: 40 }}
+              whileInView={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.6, delay: (index % 3) * 0.1 }}
+              className="w-full md:w-[270px] bg-white rounded-2xl shadow-xl overflow-hidden"
+            >
+              <img
+                className="w-full h-40 object-cover"
+                src={event.images?.[0]?.url || "/placeholder.jpg"}
+                alt={event.eventName}
+              />
+              <div className="p-4">
+                <p className="text-sm text-gray-500">{formatDate(event.date)}</p>
+                <h3 className="mt-2 text-lg font-semibold text-gray-800 line-clamp-2">
+                  {event.eventName}
+                </h3>
+                <p className="text-gray-600 text-sm mt-1 line-clamp-2">{event.description}</p>
+                {event.results?.winners?.[0] && (
+                  <p className="text-xs text-orange-600 mt-1">
+                    🏆 {event.results.winners[0].title}: {event.results.winners[0].name}
+                  </p>
+                )}
+                {event.images?.length > 1 && (
+                  <p className="text-xs text-gray-400 mt-1">{event.images.length} photos</p>
+                )}
+                <Link
+                  to={`/events/${event._id}`}
+                  className="px-5 py-1 inline-block mt-3 text-sm rounded-md bg-gray-200 text-gray-700 hover:bg-gray-300 transition"
+                >
+                  {event.results ? "View Results" : "View Event"}
+                </Link>
+              </div>
+            </motion.div>
+          ))}
+        </div>
+
+        <Pagination page={page} totalPages={totalPages} onChange={changePage} />
+      </div>
+    </div>
+  );
+};
+
+export default PastEvents;
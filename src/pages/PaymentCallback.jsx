@@ -0,0 +1,118 @@
+import React, { useContext, useEffect, useRef, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import { FiCheckCircle, FiXCircle } from "react-icons/fi";
+import { ClipLoader } from "react-spinners";
+import { paymentApi } from "../api";
+import { UserContext } from "../context/UserContext";
+import { clearPendingPayment, getGateway, pendingPayment } from "../utils/paymentGateways";
+import { downloadReceipt } from "../utils/receipt";
+
+// Where a gateway sends the payer back; confirms the payment and shows the receipt.
+const PaymentCallback = () => {
+  const { gateway: gatewayId } = useParams();
+  const [searchParams] = useSearchParams();
+  const { getAllEvents } = useContext(UserContext);
+  const [receipt, setReceipt] = useState(null);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(true);
+  const started = useRef(false);
+  // read once: it is cleared as soon as the payment is settled
+  const [pending] = useState(pendingPayment);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+
+    const gateway = getGateway(gatewayId);
+    if (!gateway) {
+      setError("Unknown payment method.");
+      setLoading(false);
+      return;
+    }
+
+    const result = gateway.parseCallback(searchParams);
+    if (result.status !== "success") {
+      clearPendingPayment();
+      setError(
+        result.status === "cancel"
+          ? "Payment was cancelled. Your registration is kept; you can pay later from your profile."
+          : "Payment failed. No money was taken; you can try again from your profile."
+      );
+      setLoading(false);
+      return;
+    }
+
+    // The id startPayment issued, when this browser remembers it. Landing in
+    // another tab or device, the backend matches the gateway's own
+    // transaction id (`paymentID` / `tran_id` in `params`) instead.
+    paymentApi
+      .confirmPayment(pending?.paymentId, { gateway: gateway.id, params: result.params })
+      .then((res) => {
+        clearPendingPayment();
+        setReceipt(res.data);
+        getAllEvents();
+      })
+      .catch((err) =>
+        setError(
+          err.status === 404
+            ? "We couldn't match this payment. If you were charged, contact the organizers."
+            : err.message
+        )
+      )
+      .finally(() => setLoading(false));
+  }, [gatewayId, searchParams]);
+
+  const eventId = pending?.eventId || receipt?.eventId;
+
+  return (
+    <div className="min-h-[70vh] flex items-center justify-center p-6">
+      <div className="w-full max-w-md border rounded-xl shadow p-6 text-center">
+        {loading && (
+          <>
+            <ClipLoader size={36} />
+            <p className="mt-3 text-gray-600">Confirming your payment...</p>
+          </>
+        )}
+
+        {!loading && error && (
+          <>
+            <FiXCircle className="mx-auto text-4xl text-red-500" />
+            <p className="mt-3 text-gray-700">{error}</p>
+          </>
+        )}
+
+        {!loading && receipt && (
+          <>
+            <FiCheckCircle className="mx-auto text-4xl text-green-600" />
+            <h2 className="mt-3 text-xl font-semibold text-gray-900">Payment successful</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              ৳{receipt.amount} for {receipt.eventName || receipt.purpose}
+            </p>
+            <p className="text-xs text-gray-400 mt-1">Transaction ID: {receipt.transactionId}</p>
+            <button
+              onClick={() => downloadReceipt(receipt)}
+              className="mt-4 bg-orange-500 text-white px-4 py-2 rounded hover:bg-orange-600"
+            >
+              Download Receipt
+            </button>
+          </>
+        )}
+
+        {!loading && (
+          <div className="mt-4 flex justify-center gap-4 text-sm">
+            {eventId && (
+              <Link to={`/events/${eventId}`} className="text-[#FF6900] hover:underline">
+                Back to event
+              </Link>
+            )}
+            <Link to="/profile" className="text-[#FF6900] hover:underline">
+              My profile
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentCallback;
@@ -1,59 +1,20 @@
-import React, { useContext, useEffect, useState } from 'react';
-import axios from 'axios';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useContext } from 'react';
+import { Link } from 'react-router-dom';
 import { UserContext } from '../context/UserContext';
-import { HashLoader } from "react-spinners";
+import { STAFF_ROLES, hasRole } from '../utils/roles';
+import MyEvents from '../components/MyEvents';
+import MyCertificates from '../components/MyCertificates';
+import MembershipCard from '../components/MembershipCard';
+import { MEMBERSHIP_LABELS, getMembershipState } from '../utils/membership';
 
 const Profile = () => {
-  const [profile, setProfile] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const { url } = useContext(UserContext);
-  const navigate = useNavigate();
+  // RequireAuth only renders this page once the session user is loaded
+  const { currentUser: profile } = useContext(UserContext);
 
-  const token = localStorage.getItem('token');
-  const slug = localStorage.getItem('slug');
-
-  useEffect(() => {
-    if (!token || !slug) {
-      navigate('/login'); // redirect to login if not authenticated
-      return;
-    }
-
-    const fetchProfile = async () => {
-      try {
-        const res = await axios.post(
-          `${url}/user/get-user-data`,
-          { slug },
-          {
-            headers: {
-              Authorization: `Bearer ${token}`,
-              'Content-Type': 'application/json',
-            },
-          }
-        );
-        setProfile(res.data);
-      } catch (error) {
-        console.error('Failed to fetch profile:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchProfile();
-  }, [token, slug, url, navigate]);
-
-  if (loading) 
-    return( 
-      <div className="min-h-screen w-full flex justify-center items-center text-center py-10 text-lg">
-        <HashLoader color='#FF6900' />
-      </div>
-    )
-  ;
   if (!profile) return <div className="text-center py-10 text-red-500">Failed to load profile</div>;
 
   return (
     <div className="min-h-screen p-6 flex items-center justify-center">
-      { loading === false &&
         <div className="mt-15 sm:mt-0 border-4 border-[#FF6900] w-full max-w-6xl rounded-xl shadow-lg flex flex-col md:flex-row overflow-hidden">
               
               {/* Left Panel */}
@@ -88,7 +49,7 @@ const Profile = () => {
                   <h2 className="text-xl font-semibold text-gray-800">Profile Details</h2>
                   <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
                     <Info label="Class Roll" value={profile.classroll} />
-                    <Info label="Membership" value={profile.membership ? 'Active' : 'Inactive'} />
+                    <Info label="Membership" value={MEMBERSHIP_LABELS[getMembershipState(profile)]} />
                     <Info label="Email" value={profile.email} />
                     <Info label="Phone" value={profile.phone} />
                     <Info label="Gender" value={profile.gender} />
@@ -96,6 +57,18 @@ const Profile = () => {
                   </div>
                 </div>
       
+                <div className="mb-6">
+                  <MembershipCard user={profile} />
+                </div>
+
+                <div className="mb-6">
+                  <MyEvents />
+                </div>
+
+                <div className="mb-6">
+                  <MyCertificates />
+                </div>
+
                 {/* You can remove this section or add more info here */}
                 <div>
                   <h2 className="text-xl font-semibold text-gray-800">Badges:</h2>
@@ -103,13 +76,13 @@ const Profile = () => {
                 </div>
 
                 <div className='mt-5 flex gap-3'>
-                  { profile.role===2 && 
+                  { hasRole(profile, STAFF_ROLES) && 
                     <Link to='/admin-panel' className='bg-slate-950 text-white px-3 py-2 rounded-sm'>Admin Panel</Link>
                   }
                   <Link to='/add-information' className='bg-slate-950 text-white px-3 py-2 rounded-sm'>Update Profile</Link>
                 </div>
               </div>
-            </div>}
+            </div>
     </div>
   );
 };
@@ -1,36 +1,81 @@
-import React, { useEffect, useState } from "react";
-import { useParams } from "react-router-dom";
+import React, { useContext, useEffect, useState } from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
 import { motion } from "framer-motion";
-import axios from "axios";
+import { eventApi } from "../api";
+import { UserContext } from "../context/UserContext";
+import { rememberRedirect } from "../utils/redirect";
+import { ONBOARDING_STEPS, STEP_ROUTES, getOnboardingStep } from "../utils/onboarding";
+import {
+  REGISTRATION_LABELS,
+  REGISTRATION_STATES,
+  activeMembers,
+  activeTeams,
+  canJoinWaitlist,
+  canRegister,
+  formatCountdown,
+  getRegistrationState,
+  registrationClosesAt,
+  registrationCount,
+  waitingEntries,
+  waitlistPosition,
+} from "../utils/registration";
+import useNow from "../hooks/useNow";
+import {
+  EVENT_STATUS,
+  EVENT_STATUS_LABELS,
+  EVENT_STATUS_STYLES,
+  getEventStatus,
+  isPastEvent,
+  isPublicEvent,
+} from "../utils/eventStatus";
+import { canUseModule } from "../utils/roles";
+import {
+  emptyRoster,
+  hasTeamErrors,
+  teamSizeLimits,
+  validateTeam,
+} from "../utils/team";
+import TeamRegistrationForm from "../components/TeamRegistrationForm";
+import RegistrationQuestions from "../components/RegistrationQuestions";
+import EventPaymentModal from "../components/EventPaymentModal";
+import { validateAnswers } from "../utils/questions";
+import EventResults from "../components/EventResults";
+import { downloadEventIcs } from "../utils/ical";
+import { locationLabel } from "../utils/locations";
 
 const SingleEvent = () => {
   const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { isLogged, currentUser, getAllEvents } = useContext(UserContext);
+  const now = useNow(1000);
   const [event, setEvent] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [Name, setName] = useState("");
   const [teamName, setTeamName] = useState("");
-  const [members, setMembers] = useState(["", "", ""]);
+  const [members, setMembers] = useState([]);
+  const [teamErrors, setTeamErrors] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [answerErrors, setAnswerErrors] = useState({});
   const [submitting, setSubmitting] = useState(false);
+  const [leaving, setLeaving] = useState(false);
+  const [paying, setPaying] = useState(false);
   const [eventType, setEventType] = useState("");
 
-  const url = import.meta.env.VITE_BACKEND_URL;
-  const slug = Number(localStorage.getItem("slug")); // Ensure slug is a number
-  const token = localStorage.getItem("token");
+  const fetchEvent = async () => {
+    try {
+      const data = await eventApi.getEvent(id);
+      setEvent(data.data);
+      setEventType(data.eventType);
+      setLoading(false);
+    } catch (error) {
+      console.error("Error fetching event:", error);
+      setLoading(false);
+    }
+  };
 
   useEffect(() => {
-    const fetchEvent = async () => {
-      try {
-        const response = await axios.get(`${url}/event/get_one_event/${id}`);
-        setEvent(response.data.data);
-        setEventType(response.data.eventType)
-        console.log(response.data);
-        setLoading(false);
-      } catch (error) {
-        console.error("Error fetching event:", error);
-        setLoading(false);
-      }
-    };
     fetchEvent();
   }, [id]);
 
@@ -44,47 +89,79 @@ const SingleEvent = () => {
       minute: "2-digit",
     });
 
+  // logged-out members come back to this event once they have signed in,
+  // and members who haven't finished onboarding once they have
+  const openRegistration = () => {
+    if (!isLogged) {
+      navigate("/login", { state: { from: location } });
+      return;
+    }
+    if (!currentUser || !(canRegister(registrationState) || joiningWaitlist)) return;
+
+    const step = getOnboardingStep(currentUser);
+    if (step !== ONBOARDING_STEPS.COMPLETE) {
+      rememberRedirect(location.pathname);
+      navigate(STEP_ROUTES[step]);
+      return;
+    }
+    setMembers(emptyRoster(teamSizeLimits(event)));
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setName("");
+    setTeamName("");
+    setMembers([]);
+    setTeamErrors(null);
+    setAnswers({});
+    setAnswerErrors({});
+  };
+
   const handleRegister = async () => {
     if (eventType === "solo") {
       if (!Name) return alert("Please enter your name.");
     } else if (eventType === "team") {
-      if (!teamName) return alert("Please enter team name.");
-      if (members.some((email) => !email))
-        return alert("Please enter all 3 member emails.");
+      const errors = validateTeam({ teamName, members }, teamSizeLimits(event));
+      setTeamErrors(errors);
+      if (hasTeamErrors(errors)) return;
     }
+    const foundInAnswers = validateAnswers(event.questions, answers);
+    setAnswerErrors(foundInAnswers);
+    if (Object.keys(foundInAnswers).length) return;
     try {
       setSubmitting(true);
-      if (eventType === "solo") {
-        await axios.post(
-          `${url}/event/register_for_solo_event/${id}`,
-          { Name, slug },
-          { headers: { Authorization: `Bearer ${token}` } }
-        );
+      const team = {
+        teamName: teamName.trim(),
+        members: members.map((m) => m.email.trim()),
+        answers,
+      };
+      if (joiningWaitlist) {
+        await eventApi.joinWaitlist(id, eventType === "solo" ? { Name, answers } : team);
+      } else if (eventType === "solo") {
+        await eventApi.registerForSoloEvent(id, { Name, answers });
       } else if (eventType === "team") {
-        const filteredMembers = members.filter((email) => email); // Remove empty strings
-        await axios.post(
-          `${url}/event/register_for_team_event/${id}`,
-          {
-            teamName,
-            members: filteredMembers,
-            slug,
-          },
-          { headers: { Authorization: `Bearer ${token}` } }
-        );
+        await eventApi.registerForTeamEvent(id, team);
       }
-      alert("Registered successfully!");
-      setShowModal(false);
-      setName("");
-      setTeamName("");
-      setMembers(["", "", ""]);
+      alert(
+        joiningWaitlist
+          ? "You're on the waitlist. We'll register you automatically when a spot opens up."
+          : "Registered successfully!"
+      );
+      // pick up the new registration so the button switches to "registered"
+      fetchEvent();
+      getAllEvents();
+      closeModal();
+      // paid events go straight on to checkout; "Pay Later" leaves it for Profile
+      if (!joiningWaitlist && Number(event.registrationFee) > 0) setPaying(true);
     } catch (error) {
       console.error("Registration error:", error);
-      if (error.response && error.response.status === 403) {
+      if (error.status === 403) {
         alert("You are not authorized to register for this event. Please check your membership or login status.");
-      } else if (error.response && error.response.status === 404) {
+      } else if (error.status === 404) {
         alert("Team registration endpoint not found or event does not support team registration.");
-      } else if (error.response && error.response.status === 400) {
-        alert(error.response.data?.message || "Bad Request. Please check your input.");
+      } else if (error.status === 400) {
+        alert(error.data?.message || "Bad Request. Please check your input.");
       } else {
         alert("Registration failed. Try again.");
       }
@@ -93,8 +170,33 @@ const SingleEvent = () => {
     }
   };
 
+  const handleLeaveWaitlist = async () => {
+    if (!window.confirm(`Leave the waitlist for ${event.eventName}?`)) return;
+    setLeaving(true);
+    try {
+      await eventApi.leaveWaitlist(id);
+      fetchEvent();
+      getAllEvents();
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setLeaving(false);
+    }
+  };
+
   if (loading) return <p className="text-center mt-20 text-xl">Loading...</p>;
-  if (!event) return <p className="text-center mt-20 text-xl">Event not found</p>;
+  // drafts are only previewable by admins
+  if (!event || (!isPublicEvent(event) && !canUseModule(currentUser, "events"))) {
+    return <p className="text-center mt-20 text-xl">Event not found</p>;
+  }
+
+  const registrationState = getRegistrationState(event, currentUser, now);
+  const joiningWaitlist = canJoinWaitlist(registrationState);
+  const canSignUp = canRegister(registrationState) || joiningWaitlist;
+  const position = waitlistPosition(event, currentUser);
+  const waiting = waitingEntries(event).length;
+  const closesAt = registrationClosesAt(event);
+  const status = getEventStatus(event, now);
 
   return (
     <div className="w-full bg-gray-50 min-h-screen">
@@ -110,7 +212,7 @@ const SingleEvent = () => {
             {event.eventName}
           </h1>
           <p className="text-white mt-2 text-lg md:text-xl drop-shadow">
-            📅 {formatDate(event.date)} | 📍 {event.location}
+            📅 {formatDate(event.date)} | 📍 {locationLabel(event.location)}
           </p>
         </div>
       </div>
@@ -124,9 +226,16 @@ const SingleEvent = () => {
           animate={{ opacity: 1, y: 0 }}
           transition={{ duration: 0.6 }}
         >
-          <h2 className="text-2xl font-semibold text-gray-900 mb-4">
-            About this event
-          </h2>
+          <div className="flex items-center justify-between gap-3 mb-4">
+            <h2 className="text-2xl font-semibold text-gray-900">
+              About this event
+            </h2>
+            {status !== EVENT_STATUS.PUBLISHED && (
+              <span className={`px-2 py-0.5 text-xs rounded ${EVENT_STATUS_STYLES[status]}`}>
+                {EVENT_STATUS_LABELS[status]}
+              </span>
+            )}
+          </div>
           <p className="text-gray-700 leading-relaxed">{event.description}</p>
 
           <div className="mt-6 space-y-2 text-gray-600">
@@ -138,20 +247,49 @@ const SingleEvent = () => {
               {formatDate(event.registrationDeadline)}
             </p>
             <p>
-              <strong>Location:</strong> {event.location}
+              <strong>Location:</strong> {locationLabel(event.location)}
             </p>
             <p>
               <strong>Membership Required:</strong>{" "}
               {event.needMembership ? "Yes" : "No"}
             </p>
+            {eventType === "team" && (
+              <p>
+                <strong>Team Size:</strong>{" "}
+                {teamSizeLimits(event).min === teamSizeLimits(event).max
+                  ? teamSizeLimits(event).min
+                  : `${teamSizeLimits(event).min}–${teamSizeLimits(event).max}`}{" "}
+                members
+              </p>
+            )}
           </div>
 
+          {/* Photos */}
+          {isPastEvent(event, now) && event.images?.length > 1 && (
+            <div className="mt-6">
+              <h3 className="font-semibold text-gray-800 mb-2">Photos</h3>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                {event.images.slice(1).map((image, i) => (
+                  <a key={image._id || i} href={image.url} target="_blank" rel="noreferrer">
+                    <img
+                      src={image.url}
+                      alt={`${event.eventName} photo ${i + 1}`}
+                      className="h-28 w-full object-cover rounded-lg"
+                    />
+                  </a>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {isPastEvent(event, now) && <EventResults results={event.results} />}
+
           {/* Members */}
-          {event.registeredMembers?.length > 0 && (
+          {activeMembers(event).length > 0 && (
             <div className="mt-6">
               <h3 className="font-semibold text-gray-800">Registered Members:</h3>
               <ul className="list-disc list-inside text-gray-600">
-                {event.registeredMembers.map((m, i) => (
+                {activeMembers(event).map((m, i) => (
                   <li key={i}>{m.name}</li>
                 ))}
               </ul>
@@ -159,11 +297,11 @@ const SingleEvent = () => {
           )}
 
           {/* Teams */}
-          {event.registeredTeams?.length > 0 && (
+          {activeTeams(event).length > 0 && (
             <div className="mt-6">
               <h3 className="font-semibold text-gray-800">Registered Teams:</h3>
               <ul className="list-disc list-inside text-gray-600">
-                {event.registeredTeams.map((t, i) => (
+                {activeTeams(event).map((t, i) => (
                   <li key={i}>{t.name}</li>
                 ))}
               </ul>
@@ -188,15 +326,76 @@ const SingleEvent = () => {
               <li>Exclusive content</li>
             </ul>
           </div>
-          <button
-            onClick={() => setShowModal(true)}
-            className="mt-6 w-full bg-orange-500 text-white py-3 rounded-lg font-medium hover:bg-orange-600 transition"
-          >
-            Register Now
-          </button>
+          <div className="mt-6">
+            <button
+              onClick={openRegistration}
+              disabled={!canSignUp}
+              className={`w-full py-3 rounded-lg font-medium transition ${
+                canRegister(registrationState)
+                  ? "bg-orange-500 text-white hover:bg-orange-600"
+                  : joiningWaitlist
+                    ? "bg-slate-800 text-white hover:bg-slate-900"
+                    : "bg-gray-200 text-gray-500 cursor-not-allowed"
+              }`}
+            >
+              {REGISTRATION_LABELS[registrationState]}
+            </button>
+            {event.capacity > 0 && (
+              <p className="mt-2 text-sm text-center text-gray-500">
+                {Math.min(registrationCount(event), event.capacity)} / {event.capacity}{" "}
+                {eventType === "team" ? "teams" : "spots"} taken
+                {waiting > 0 && ` · ${waiting} on the waitlist`}
+              </p>
+            )}
+            {joiningWaitlist && (
+              <p className="mt-1 text-sm text-center text-gray-500">
+                This event is full. Join the waitlist to be registered automatically if a spot opens up.
+              </p>
+            )}
+            {position > 0 && (
+              <div className="mt-2 text-sm text-center">
+                <p className="text-gray-700">
+                  You are <span className="font-semibold">#{position}</span> on the waitlist.
+                </p>
+                <button
+                  onClick={handleLeaveWaitlist}
+                  disabled={leaving}
+                  className="mt-1 text-red-600 hover:underline disabled:opacity-50"
+                >
+                  {leaving ? "Leaving..." : "Leave waitlist"}
+                </button>
+              </div>
+            )}
+            {canSignUp && closesAt !== null && (
+              <p
+                className={`mt-2 text-sm text-center ${
+                  registrationState === REGISTRATION_STATES.CLOSING_SOON
+                    ? "text-red-500 font-medium"
+                    : "text-gray-500"
+                }`}
+              >
+                Registration closes in {formatCountdown(closesAt - now)}
+              </p>
+            )}
+            {!isPastEvent(event, now) && (
+              <button
+                onClick={() => downloadEventIcs(event)}
+                className="w-full mt-3 py-2 rounded-lg border text-sm text-gray-700 hover:bg-gray-50 transition"
+              >
+                Add to Calendar (.ics)
+              </button>
+            )}
+            {registrationState === REGISTRATION_STATES.MEMBERSHIP_REQUIRED && (
+              <p className="mt-2 text-sm text-center text-gray-500">
+                This event is for active pcIST members only.
+              </p>
+            )}
+          </div>
         </motion.div>
       </div>
 
+      {paying && <EventPaymentModal event={event} onClose={() => setPaying(false)} />}
+
       {/* Modal */}
       {showModal && (
         <motion.div
@@ -205,12 +404,12 @@ const SingleEvent = () => {
           animate={{ opacity: 1 }}
         >
           <motion.div
-            className="bg-white rounded-2xl p-8 w-11/12 max-w-md shadow-lg"
+            className="bg-white rounded-2xl p-8 w-11/12 max-w-md max-h-[90vh] overflow-y-auto shadow-lg"
             initial={{ scale: 0.9 }}
             animate={{ scale: 1 }}
           >
             <h2 className="text-xl font-bold text-gray-900 mb-4">
-              Register for {event.eventName}
+              {joiningWaitlist ? "Join waitlist for" : "Register for"} {event.eventName}
             </h2>
             {eventType === "solo" ? (
               <>
@@ -223,38 +422,26 @@ const SingleEvent = () => {
                 />
               </>
             ) : (
-              <>
-                <input
-                  type="text"
-                  placeholder="Enter team name"
-                  value={teamName}
-                  onChange={(e) => setTeamName(e.target.value)}
-                  className="border border-gray-300 rounded-md px-4 py-2 w-full mb-4 focus:outline-none focus:ring-2 focus:ring-orange-500"
+              <div className="mb-4">
+                <TeamRegistrationForm
+                  teamName={teamName}
+                  setTeamName={setTeamName}
+                  members={members}
+                  setMembers={setMembers}
+                  limits={teamSizeLimits(event)}
+                  errors={teamErrors}
                 />
-                {members.map((email, idx) => (
-                  <input
-                    key={idx}
-                    type="email"
-                    placeholder={`Member ${idx + 1} Email`}
-                    value={email}
-                    onChange={(e) => {
-                      const updated = [...members];
-                      updated[idx] = e.target.value;
-                      setMembers(updated);
-                    }}
-                    className="border border-gray-300 rounded-md px-4 py-2 w-full mb-2 focus:outline-none focus:ring-2 focus:ring-orange-500"
-                  />
-                ))}
-              </>
+              </div>
             )}
+            <RegistrationQuestions
+              questions={event.questions}
+              answers={answers}
+              onChange={setAnswers}
+              errors={answerErrors}
+            />
             <div className="flex justify-end gap-2">
               <button
-                onClick={() => {
-                  setShowModal(false);
-                  setName("");
-                  setTeamName("");
-                  setMembers(["", "", ""]);
-                }}
+                onClick={closeModal}
                 className="px-4 py-2 rounded-md bg-gray-200 hover:bg-gray-300 transition"
               >
                 Cancel
@@ -264,7 +451,7 @@ const SingleEvent = () => {
                 disabled={submitting}
                 className="px-4 py-2 rounded-md bg-orange-500 text-white hover:bg-orange-600 transition"
               >
-                {submitting ? "Registering..." : "Submit"}
+                {submitting ? (joiningWaitlist ? "Joining..." : "Registering...") : "Submit"}
               </button>
             </div>
           </motion.div>
@@ -1,42 +1,198 @@
-import React, { useContext, useState } from "react";
+import React, { useContext } from "react";
 import ComponentHeader from "../components/ComponentHeader";
 import { Link } from "react-router-dom";
 import { UserContext } from "../context/UserContext";
-import { motion } from "framer-motion";
-import Events from "../components/Events";
+import EventCard from "../components/EventCard";
+import Pagination from "../components/Pagination";
+import useNow from "../hooks/useNow";
+import useUrlFilters from "../hooks/useUrlFilters";
+import { isUpcomingEvent } from "../utils/eventStatus";
+import { paginate } from "../utils/pagination";
+import { locationLabel } from "../utils/locations";
+
+const EVENTS_PER_PAGE = 12;
+
+const SORTS = {
+  date: { label: "Event date", key: "date" },
+  deadline: { label: "Registration deadline", key: "registrationDeadline" },
+};
+
+const inputClass = "border px-3 py-2 rounded-md bg-white text-sm";
+
+// `from` / `to` are YYYY-MM-DD in local time and include the whole day.
+const inDateRange = (event, from, to) => {
+  const time = new Date(event.date).getTime();
+  if (from && time < new Date(`${from}T00:00`).getTime()) return false;
+  if (to && time > new Date(`${to}T23:59:59.999`).getTime()) return false;
+  return true;
+};
+
+const matchesQuery = (event, query) =>
+  !query ||
+  [event.eventName, event.description, event.location, locationLabel(event.location)].some(
+    (field) => field?.toLowerCase().includes(query)
+  );
 
 const UpcomingEvents = () => {
-  const { events } = useContext(UserContext);
-
-  // pagination setup
-  const [currentPage, setCurrentPage] = useState(1);
-  const eventsPerPage = 20;
-
-  // calculate pagination
-  const indexOfLastEvent = currentPage * eventsPerPage;
-  const indexOfFirstEvent = indexOfLastEvent - eventsPerPage;
-  const currentEvents = events.slice(indexOfFirstEvent, indexOfLastEvent);
-
-  const totalPages = Math.ceil(events.length / eventsPerPage);
-
-  // date formatting function
-  const formatDate = (dateStr) => {
-    return new Date(dateStr).toLocaleDateString("en-US", {
-      weekday: "short",
-      year: "numeric",
-      month: "long",
-      day: "numeric",
-      hour: "2-digit",
-      minute: "2-digit",
-    });
+  const { events, eventLoading, getEventMessage, currentUser } = useContext(UserContext);
+  const now = useNow(60 * 1000);
+  const [getParam, updateParams] = useUrlFilters();
+
+  const q = getParam("q");
+  const type = getParam("type");
+  const membership = getParam("membership");
+  const from = getParam("from");
+  const to = getParam("to");
+  const sort = SORTS[getParam("sort")] ? getParam("sort") : "date";
+
+  const query = q.trim().toLowerCase();
+  const sortKey = SORTS[sort].key;
+
+  const filtered = events
+    .filter(
+      (e) =>
+        isUpcomingEvent(e, now) &&
+        matchesQuery(e, query) &&
+        (!type || e.eventType === type) &&
+        (!membership || Boolean(e.needMembership) === (membership === "required")) &&
+        inDateRange(e, from, to)
+    )
+    .sort((a, b) => new Date(a[sortKey]) - new Date(b[sortKey]));
+
+  const { page, totalPages, items: currentEvents } = paginate(
+    filtered,
+    getParam("page"),
+    EVENTS_PER_PAGE
+  );
+
+  const hasFilters = Boolean(q || type || membership || from || to);
+
+  const changePage = (p) => {
+    updateParams({ page: p > 1 ? String(p) : "" });
+    window.scrollTo({ top: 0, behavior: "smooth" });
   };
 
+  const clearFilters = () =>
+    updateParams({ q: "", type: "", membership: "", from: "", to: "" });
+
   return (
     <div className="w-full">
       <ComponentHeader title="Upcoming Events" route="Events" />
       <div className="w-full lg:w-[85%] max-w-[1200px] mx-auto py-10 px-5 lg:px-0">
-        <Events event={"Solo"} place={"Event"} />
-        <Events event={"Team"} place={"Event"} />
+        {/* Filters */}
+        <div className="mb-8 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-3">
+          <input
+            type="search"
+            value={q}
+            onChange={(e) => updateParams({ q: e.target.value })}
+            placeholder="Search events"
+            className={`${inputClass} lg:col-span-2`}
+            aria-label="Search events"
+          />
+          <select
+            value={type}
+            onChange={(e) => updateParams({ type: e.target.value })}
+            className={inputClass}
+            aria-label="Event type"
+          >
+            <option value="">Solo & team</option>
+            <option value="solo">Solo</option>
+            <option value="team">Team</option>
+          </select>
+          <select
+            value={membership}
+            onChange={(e) => updateParams({ membership: e.target.value })}
+            className={inputClass}
+            aria-label="Membership"
+          >
+            <option value="">Any membership</option>
+            <option value="required">Members only</option>
+            <option value="open">Open to all</option>
+          </select>
+          <select
+            value={sort}
+            onChange={(e) => updateParams({ sort: e.target.value === "date" ? "" : e.target.value })}
+            className={inputClass}
+            aria-label="Sort by"
+          >
+            {Object.entries(SORTS).map(([value, { label }]) => (
+              <option key={value} value={value}>
+                Sort: {label}
+              </option>
+            ))}
+          </select>
+          <div className="flex items-center gap-2 lg:col-span-1 sm:col-span-2">
+            <input
+              type="date"
+              value={from}
+              max={to || undefined}
+              onChange={(e) => updateParams({ from: e.target.value })}
+              className={`${inputClass} w-full`}
+              aria-label="From date"
+            />
+            <input
+              type="date"
+              value={to}
+              min={from || undefined}
+              onChange={(e) => updateParams({ to: e.target.value })}
+              className={`${inputClass} w-full`}
+              aria-label="To date"
+            />
+          </div>
+        </div>
+
+        {!eventLoading && !getEventMessage && (
+          <div className="mb-6 flex items-center justify-between text-sm text-gray-500">
+            <span>
+              {filtered.length} {filtered.length === 1 ? "event" : "events"}
+            </span>
+            {hasFilters && (
+              <button onClick={clearFilters} className="text-orange-600 hover:underline">
+                Clear filters
+              </button>
+            )}
+          </div>
+        )}
+
+        {eventLoading && <p className="text-center text-gray-500">Loading events...</p>}
+        {!eventLoading && getEventMessage && (
+          <p className="text-center text-red-600">{getEventMessage}</p>
+        )}
+        {!eventLoading && !getEventMessage && filtered.length === 0 && (
+          <p className="text-center text-gray-500">
+            {hasFilters ? "No events match these filters." : "No upcoming events right now."}
+          </p>
+        )}
+
+        {/* Event Cards */}
+        <div className="flex flex-wrap justify-center gap-6">
+          {currentEvents.map((event, index) => (
+            <EventCard
+              key={event._id}
+              event={event}
+              index={index % 4}
+              user={currentUser}
+              now={now}
+            />
+          ))}
+        </div>
+
+        <Pagination page={page} totalPages={totalPages} onChange={changePage} />
+
+        <div className="mt-10 flex flex-wrap justify-center gap-3">
+          <Link
+            to="/events/past"
+            className="px-6 py-2.5 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-full font-medium shadow-md transition-all"
+          >
+            Browse Past Events
+          </Link>
+          <Link
+            to="/calendar"
+            className="px-6 py-2.5 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-full font-medium shadow-md transition-all"
+          >
+            Calendar View
+          </Link>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { FiCheckCircle, FiXCircle } from "react-icons/fi";
+import { ClipLoader } from "react-spinners";
+import ComponentHeader from "../components/ComponentHeader";
+import QrScanner from "../components/QrScanner";
+import { documentApi } from "../api";
+import { DOCUMENT_TYPE_LABELS, parseSerial } from "../utils/verify";
+
+const Verify = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const serial = searchParams.get("serial") || "";
+  const [input, setInput] = useState(serial);
+  const [scanning, setScanning] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  // The serial lives in the URL so a printed QR link opens straight to the result
+  useEffect(() => {
+    setInput(serial);
+    setResult(null);
+    setError("");
+    if (!serial) {
+      // a cleared serial cancels any lookup in flight, whose finally won't run
+      setLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    documentApi
+      .verifyDocument(serial)
+      .then((res) => !cancelled && setResult(res.data))
+      .catch((err) => {
+        if (cancelled) return;
+        setError(
+          err.status === 404
+            ? `No pcIST document was issued with serial "${serial}".`
+            : err.message
+        );
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [serial]);
+
+  const lookup = (value) => {
+    const next = parseSerial(value);
+    if (next) setSearchParams({ serial: next });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    lookup(input);
+  };
+
+  const handleScan = (text) => {
+    setScanning(false);
+    lookup(text);
+  };
+
+  const valid = result && !result.revoked;
+
+  return (
+    <div className="w-full">
+      <ComponentHeader title="Verify a Document" route="Verify" />
+      <div className="w-full max-w-2xl mx-auto py-10 px-5">
+        <p className="text-gray-600 mb-4 text-center">
+          Check whether a certificate, PAD or invoice was issued by pcIST. Enter the serial
+          printed on the document or scan its QR code.
+        </p>
+
+        <form onSubmit={handleSubmit} className="flex gap-2 mb-3">
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="Serial number"
+            className="flex-1 border px-3 py-2 rounded font-mono"
+          />
+          <button
+            type="submit"
+            disabled={loading || !input.trim()}
+            className="bg-[#FF6900] text-white px-4 py-2 rounded disabled:opacity-50"
+          >
+            Verify
+          </button>
+        </form>
+
+        <button
+          onClick={() => setScanning((s) => !s)}
+          className="text-sm border px-3 py-1 rounded hover:bg-gray-50 mb-4"
+        >
+          {scanning ? "Stop camera" : "Scan QR code"}
+        </button>
+        {scanning && (
+          <div className="mb-4">
+            <QrScanner onScan={handleScan} />
+          </div>
+        )}
+
+        {loading && (
+          <div className="flex justify-center py-6">
+            <ClipLoader size={32} />
+          </div>
+        )}
+
+        {!loading && error && (
+          <div className="flex items-start gap-3 border border-red-200 bg-red-50 text-red-700 p-4 rounded-lg">
+            <FiXCircle className="text-2xl shrink-0" />
+            <p>{error}</p>
+          </div>
+        )}
+
+        {!loading && result && (
+          <div
+            className={`border rounded-lg p-5 ${
+              valid ? "border-green-200 bg-green-50" : "border-red-200 bg-red-50"
+            }`}
+          >
+            <div className={`flex items-center gap-2 font-semibold text-lg ${valid ? "text-green-800" : "text-red-700"}`}>
+              {valid ? <FiCheckCircle /> : <FiXCircle />}
+              {valid ? "Valid pcIST document" : "This document has been revoked"}
+            </div>
+
+            <dl className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-x-4 gap-y-2 text-sm">
+              <dt className="text-gray-500">Serial</dt>
+              <dd className="sm:col-span-2 font-mono">{result.serial}</dd>
+              <dt className="text-gray-500">Type</dt>
+              <dd className="sm:col-span-2">{DOCUMENT_TYPE_LABELS[result.type] || result.type}</dd>
+              <dt className="text-gray-500">Issued</dt>
+              <dd className="sm:col-span-2">
+                {new Date(result.issuedAt).toLocaleDateString("en-US", {
+                  year: "numeric",
+                  month: "long",
+                  day: "numeric",
+                })}
+              </dd>
+              <dt className="text-gray-500">Subject</dt>
+              <dd className="sm:col-span-2">{result.subject || "-"}</dd>
+              <dt className="text-gray-500">Authorized by</dt>
+              <dd className="sm:col-span-2">
+                {(result.authorizers || []).length === 0
+                  ? "-"
+                  : result.authorizers.map((a) => (
+                      <p key={`${a.name}-${a.role}`}>
+                        {a.name} <span className="text-gray-500">({a.role})</span>
+                      </p>
+                    ))}
+              </dd>
+            </dl>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Verify;
@@ -1,14 +1,13 @@
 import React, { useContext, useEffect, useState } from 'react';
-import axios from 'axios';
 import { Link, useNavigate } from 'react-router-dom';
 import { UserContext } from '../../context/UserContext';
+import { userApi } from '../../api';
+import { resumeRoute } from '../../utils/onboarding';
 
 const AddInformation = () => {
-  const { url } = useContext(UserContext);
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
-  const slug = localStorage.getItem('slug');
-  const token = localStorage.getItem('token');
+  const { refreshUser } = useContext(UserContext);
 
   const [formData, setFormData] = useState({
     name: '',
@@ -25,46 +24,30 @@ const AddInformation = () => {
 
   const [message, setMessage] = useState('');
 
-  // ✅ Redirect if not logged in
-  // useEffect(() => {
-  //   if (!token || !slug) {
-  //     navigate('/login');
-  //   }
-  // }, [token, slug, navigate]);
-
   // ✅ Fetch user profile
   const fetchProfile = async () => {
     try {
-      const response = await axios.post(
-        `${url}/user/get-user-data`,
-        { slug },
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      if (response.data) {
+      const user = await userApi.getUserData();
+
+      if (user) {
         // Prefill formData if user data exists
         setFormData((prev) => ({
           ...prev,
-          name: response.data.name || '',
-          phone: response.data.phone || '',
-          profileimage: response.data.profileimage || '',
-          gender: response.data.gender || '',
-          tshirt: response.data.tshirt || '',
-          batch: response.data.batch || '',
-          dept: response.data.dept || '',
-          cfhandle: response.data.cfhandle || '',
-          atchandle: response.data.atchandle || '',
-          cchandle: response.data.cchandle || '',
+          name: user.name || '',
+          phone: user.phone || '',
+          profileimage: user.profileimage || '',
+          gender: user.gender || '',
+          tshirt: user.tshirt || '',
+          batch: user.batch || '',
+          dept: user.dept || '',
+          cfhandle: user.cfhandle || '',
+          atchandle: user.atchandle || '',
+          cchandle: user.cchandle || '',
         }));
       }
     } catch (error) {
       console.error('Error fetching profile:', error);
-      setMessage(error.response?.data?.message || 'Something went wrong.');
+      setMessage(error.message);
     }
   };
 
@@ -87,25 +70,17 @@ const AddInformation = () => {
 
     setLoading(true);
     try {
-      const response = await axios.put(
-        `${url}/user/update-profile`,
-        { ...formData, slug },
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      if (response.data.status) {
+      const data = await userApi.updateProfile(formData);
+
+      if (data.status) {
         setMessage('User updated successfully!');
-        navigate('/profile');
+        const user = await refreshUser();
+        navigate(resumeRoute(user, '/profile'));
       } else {
-        setMessage(response.data.message || 'Update failed.');
+        setMessage(data.message || 'Update failed.');
       }
     } catch (error) {
-      setMessage(error.response?.data?.message || 'Something went wrong.');
+      setMessage(error.message);
       console.error(error);
     } finally {
       setLoading(false);
@@ -2,82 +2,39 @@ import React, { useContext, useEffect, useState } from 'react';
 import ist_logo from '../../assets/IST_logo.gif';
 import pcist_logo from '../../assets/vite.svg';
 import { UserContext } from '../../context/UserContext';
-import axios from 'axios';
+import { userApi } from '../../api';
+import { resumeRoute } from '../../utils/onboarding';
 import { useNavigate } from 'react-router-dom';
 
 const EmailVerification = () => {
   const navigate = useNavigate();
   const [code, setCode] = useState('');
   const [message, setMessage] = useState('');
-  const { url, didSendCode } = useContext(UserContext);
-  const token = localStorage.getItem('token');
-  const slug = localStorage.getItem('slug');
+  const { didSendCode, refreshUser } = useContext(UserContext);
   const [loading, setLoading] = useState(false);
 
   // ⏳ cooldown timer state
   const [cooldown, setCooldown] = useState(120); // 2 minutes = 120 sec
 
-  useEffect(() => {
-    if (!token || !slug) {
-      navigate('/login');
-    }
-  }, [token, slug, navigate]);
-
   const sendVerificationCode = async () => {
     try {
-      const response = await axios.post(
-        `${url}/user/send-verification-email`,
-        { slug },
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      if (response.data.status) {
-        setMessage('Verification code sent successfully.');
-      } else {
-        setMessage(response.data.message || 'Failed to send code');
-      }
-    } catch (error) {
-      const errorMsg =
-        error.response?.data?.message || 'Something went wrong.';
-      console.error('Error sending code:', errorMsg);
-      setMessage(errorMsg);
-    }
-  };
+      const data = await userApi.sendVerificationEmail();
 
-  const checkVerification = async () => {
-    try {
-      const response = await axios.post(
-        `${url}/user/get-user-data`,
-        { slug },
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      if (response.data.is_email_verified === false) {
-        sendVerificationCode();
+      if (data.status) {
+        setMessage('Verification code sent successfully.');
       } else {
-        navigate('/');
+        setMessage(data.message || 'Failed to send code');
       }
     } catch (error) {
-      const errorMsg =
-        error.response?.data?.message || 'Something went wrong.';
-      console.error('Error sending code:', error);
-      setMessage(errorMsg);
+      console.error('Error sending code:', error.message);
+      setMessage(error.message);
     }
   };
 
+  // OnboardingGate only renders this page for unverified users
   useEffect(() => {
     if (!didSendCode.current) {
-      checkVerification();
+      sendVerificationCode();
       didSendCode.current = true;
     }
   }, []);
@@ -100,32 +57,22 @@ const EmailVerification = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    if (!slug || !code) return;
+    if (!code) return;
     setLoading(true);
 
     try {
-      const response = await axios.post(
-        `${url}/user/verify-user`,
-        { slug, code },
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      if (response.data.status) {
+      const data = await userApi.verifyUser(code);
+
+      if (data.status) {
         setMessage('User Verified');
-        navigate('/add-information');
+        const user = await refreshUser();
+        navigate(resumeRoute(user));
       } else {
-        setMessage(response.data.message || 'Failed to verify user');
+        setMessage(data.message || 'Failed to verify user');
       }
     } catch (error) {
-      const errorMsg =
-        error.response?.data?.message || 'Something went wrong.';
-      console.error('Error sending code:', errorMsg);
-      setMessage(errorMsg);
+      console.error('Error sending code:', error.message);
+      setMessage(error.message);
     } finally {
       setLoading(false);
     }
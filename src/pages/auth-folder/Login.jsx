@@ -1,15 +1,18 @@
 import React, { useContext, useEffect, useState } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
 import side from '../../assets/Others/login.webp'
 import ist_logo from '../../assets/IST_logo.gif'
 import pcist_logo from '../../../public/vite.svg'
 import { UserContext } from '../../context/UserContext'
-import axios from 'axios'
+import { userApi } from '../../api'
+import { captureRedirect } from '../../utils/redirect'
+import { resumeRoute } from '../../utils/onboarding'
 import { FiEye, FiEyeOff } from "react-icons/fi";
 
 const Login = () => {
   const navigate = useNavigate();
-  const { url } = useContext(UserContext);
+  const location = useLocation();
+  const { handleLogin } = useContext(UserContext);
 
   const [classroll, setClassRoll] = useState('');
   const [password, setPassword] = useState('');
@@ -17,6 +20,11 @@ const Login = () => {
   const [message, setMessage] = useState('');
   const [loading, setLoading] = useState(false);
 
+  // Remember where the visitor was heading (guarded page or ?redirect=)
+  useEffect(() => {
+    captureRedirect(location);
+  }, []);
+
   // Auto‐hide error after 5 seconds
   useEffect(() => {
     if (!message) return;
@@ -32,18 +40,16 @@ const Login = () => {
     setLoading(true);
 
     try {
-      const response = await axios.post(url + '/user/login', { classroll, password });
+      const data = await userApi.login({ classroll, password });
       
-      if (response.data.status === true) {
-        localStorage.setItem('token', response.data.token);
-        localStorage.setItem('slug', response.data.slug);
-        navigate('/');
+      if (data.status === true) {
+        const user = await handleLogin(data);
+        navigate(resumeRoute(user, '/'), { replace: true });
       } else {
-        setMessage(response.data.message || 'Login failed. Please try again.');
+        setMessage(data.message || 'Login failed. Please try again.');
       }
     } catch (error) {
-      // console.error(error);
-      setMessage(error.response?.data?.message || 'An error occurred. Please try again.');
+      setMessage(error.message);
     } finally{
       setLoading(false);
     }
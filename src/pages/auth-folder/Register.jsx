@@ -1,15 +1,18 @@
 import React, { useContext, useEffect, useState } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
 import side from '../../assets/Others/register.webp'
 import ist_logo from '../../assets/IST_logo.gif'
 import pcist_logo from '../../../public/vite.svg'
 import { UserContext } from '../../context/UserContext'
-import axios from 'axios'
+import { userApi } from '../../api'
+import { captureRedirect } from '../../utils/redirect'
+import { resumeRoute } from '../../utils/onboarding'
 import { FiEye, FiEyeOff } from "react-icons/fi";
 
 const Register = () => {
   const navigate = useNavigate();
-  const { url } = useContext(UserContext);
+  const location = useLocation();
+  const { isLogged, handleLogin } = useContext(UserContext);
   const [loading, setLoading] = useState(false);
 
   const [classroll, setClassRoll] = useState('');
@@ -18,11 +21,13 @@ const Register = () => {
   const [passShow, setPassShow] = useState(true);
   const [message, setMessage] = useState('');
 
-  const token = localStorage.getItem('token');
   useEffect(() => {
-    if (token) {
+    if (isLogged) {
       navigate('/profile');
+      return;
     }
+    // kept until add-information finishes the onboarding
+    captureRedirect(location);
   }, []);
 
   // Auto‐hide error after 5 seconds
@@ -40,17 +45,15 @@ const Register = () => {
     setLoading(true);
 
     try {
-      const response = await axios.post(url + '/user/register', { classroll, email, password });
-      if (response.data.status === true) {
-        localStorage.setItem('token', response.data.token);
-        localStorage.setItem('slug', response.data.slug);
-        navigate('/mail-verify');
+      const data = await userApi.register({ classroll, email, password });
+      if (data.status === true) {
+        const user = await handleLogin(data);
+        navigate(resumeRoute(user));
       } else {
-        setMessage(response.data.message || 'Login failed. Please try again.');
+        setMessage(data.message || 'Login failed. Please try again.');
       }
     } catch (error) {
-      // console.error(error);
-      setMessage(error.response?.data?.message || 'An error occurred. Please try again.');
+      setMessage(error.message);
     } finally {
       setLoading(false);
     }
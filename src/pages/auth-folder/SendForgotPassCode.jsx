@@ -1,8 +1,7 @@
-import React, { useContext, useEffect, useRef, useState } from 'react';
+import React, { useState } from 'react';
 import ist_logo from '../../assets/IST_logo.gif';
 import pcist_logo from '../../assets/vite.svg';
-import { UserContext } from '../../context/UserContext';
-import axios from 'axios';
+import { userApi } from '../../api';
 import { useNavigate, Link } from 'react-router-dom';
 
 
@@ -11,9 +10,6 @@ const SendForgotPassCode = () => {
 	const navigate = useNavigate();
 	const [email, setEmail] = useState('');
 	const [message, setMessage] = useState('');
-	const { url, didSendCode } = useContext(UserContext);
-	const token = localStorage.getItem('token');
-	const slug = localStorage.getItem('slug');
 	const [loading, setLoading] = useState(false);
 
 	const onSubmitHandler = async (e) => {
@@ -21,18 +17,15 @@ const SendForgotPassCode = () => {
 
 		try{
 
-			const response = await axios.post(
-				`${url}/user/send-forgot-password-email`,
-				{ email }
-			)
+			const data = await userApi.sendForgotPasswordEmail(email);
 
-			if(response.data.status){
+			if(data.status){
 				setMessage('Verification code sent to your email account.');
 				localStorage.setItem('email', email);
 				navigate('/verify-forgot-pass-code');
 			}
 			else{
-				setMessage(response.data.message);
+				setMessage(data.message);
 			}
 
 		} catch (error){
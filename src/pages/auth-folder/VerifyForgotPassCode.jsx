@@ -1,9 +1,8 @@
-import React, { useContext, useState } from 'react'
+import React, { useState } from 'react'
 import ist_logo from '../../assets/IST_logo.gif';
 import pcist_logo from '../../assets/vite.svg';
-import { UserContext } from '../../context/UserContext';
 import { useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import { userApi } from '../../api';
 
 const VerifyForgotPassCode = () => {
 
@@ -11,7 +10,6 @@ const VerifyForgotPassCode = () => {
 	const [code, setCode] = useState();
 	const [loading, setLoading] = useState(false);
 	const [message, setMessage] = useState('');
-	const { url } = useContext(UserContext);
 	const [password, setPassword] = useState();
 	const [rePassword, setRePassword] = useState();
 	const email = localStorage.getItem('email');
@@ -27,18 +25,15 @@ const VerifyForgotPassCode = () => {
 
 		try{
 
-			const response = await axios.post(
-			`${url}/user/recover-password`,
-			{ email, code, password }
-			);
+			const data = await userApi.recoverPassword({ email, code, password });
 
-			if(response.data.status){
+			if(data.status){
 				setMessage('Password Change Successfully');
 				localStorage.removeItem('email');
 				navigate('/login');
 			}
 			else {
-				setMessage(response.data.message);
+				setMessage(data.message);
 			}
 		} catch(error) {
 			console.error(error);
@@ -0,0 +1,51 @@
+import { isCheckedIn } from "./checkin";
+import { registrationRows } from "./registration";
+
+export const CERTIFICATE_TYPES = {
+  PARTICIPATION: "participation",
+  ACHIEVEMENT: "achievement",
+};
+
+export const CERTIFICATE_TYPE_LABELS = {
+  participation: "Participation",
+  achievement: "Achievement",
+};
+
+const same = (a, b) => (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+
+const ordinal = (n) => {
+  const suffix = ["th", "st", "nd", "rd"];
+  const v = n % 100;
+  return `${n}${suffix[(v - 20) % 10] || suffix[v] || suffix[0]}`;
+};
+
+/**
+ * What an achievement certificate should say for a registration row, taken
+ * from the event results: a winner title ("Champion") wins over a plain
+ * standings rank ("2nd Place"). Results are matched by team name for team
+ * events and by member name for solo ones. Empty when the row placed nowhere.
+ */
+export const achievementFor = (event, row) => {
+  const name = row.team ? row.team.teamName : row.member.Name || row.member.name;
+  const winner = (event?.results?.winners || []).find((w) => same(w.name, name));
+  if (winner) return winner.title;
+  const standings = event?.results?.standings || [];
+  const index = standings.findIndex((s) => same(s.name, name));
+  if (index === -1) return "";
+  return `${ordinal(Number(standings[index].rank) || index + 1)} Place`;
+};
+
+/**
+ * Everyone who can receive a certificate for the event: active registrations,
+ * optionally only those checked in at the venue, with their achievement prefilled.
+ */
+export const certificateRecipients = (event, { attendedOnly = false } = {}) =>
+  registrationRows(event)
+    .filter((row) => !row.withdrawn && (!attendedOnly || isCheckedIn(row)))
+    .map((row) => ({
+      key: row.key,
+      classroll: row.member.classroll,
+      name: row.member.Name || row.member.name || "",
+      team: row.team?.teamName || "",
+      achievement: achievementFor(event, row),
+    }));
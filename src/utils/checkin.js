@@ -0,0 +1,47 @@
+import { registrationRows } from "./registration";
+
+/**
+ * On-site check-in. A member's QR code carries the event and their class
+ * roll; the admin check-in page reads it back (or takes the roll typed in)
+ * and marks that registration attended.
+ */
+
+const PREFIX = "PCIST-CHECKIN";
+
+export const encodeCheckIn = (eventId, member) =>
+  [PREFIX, eventId, member.classroll ?? member.email].join("|");
+
+/** @returns {{ eventId: string, roll: string } | null} */
+export const parseCheckIn = (text) => {
+  const [prefix, eventId, roll] = String(text || "").trim().split("|");
+  if (prefix !== PREFIX || !eventId || !roll) return null;
+  return { eventId, roll };
+};
+
+// Confirmed means there is nothing left to pay.
+export const isConfirmed = (event, paid) => paid || !Number(event.registrationFee);
+
+/** The active registration row for a class roll (or email), if any. */
+export const findAttendee = (event, roll) => {
+  const key = String(roll).trim().toLowerCase();
+  return registrationRows(event).find(
+    (row) =>
+      !row.withdrawn &&
+      (String(row.member.classroll ?? "").toLowerCase() === key ||
+        String(row.member.email ?? "").toLowerCase() === key)
+  );
+};
+
+export const isCheckedIn = (row) => Boolean(row.member.checkedInAt);
+
+export const ATTENDANCE_COLUMNS = [
+  { header: "Team", value: (r) => r.team?.teamName || "" },
+  { header: "Class Roll", value: (r) => Number(r.member.classroll) || r.member.classroll },
+  { header: "Name", value: (r) => r.member.Name || r.member.name },
+  { header: "Email", value: (r) => r.member.email },
+  { header: "Attended", value: (r) => (isCheckedIn(r) ? "Yes" : "No") },
+  {
+    header: "Checked In At",
+    value: (r) => (r.member.checkedInAt ? new Date(r.member.checkedInAt).toLocaleString() : ""),
+  },
+];
@@ -0,0 +1,73 @@
+import { saveBlob } from "./download";
+import { locationLabel } from "./locations";
+
+export const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  })[c]);
+
+const formatDate = (dateStr) =>
+  new Date(dateStr).toLocaleString("en-US", {
+    weekday: "short",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// A standalone HTML page the member can keep, print or show at the venue.
+export const buildConfirmationHtml = (registration, user) => {
+  const { event, type, team, teammates, paid } = registration;
+  const rows = [
+    ["Event", event.eventName],
+    ["Date", formatDate(event.date)],
+    ["Location", locationLabel(event.location)],
+    ["Registered As", type === "team" ? `Team "${team.teamName}"` : "Individual"],
+    ["Name", user.name],
+    ["Class Roll", user.classroll ?? user.slug],
+    ["Email", user.email],
+    ["Payment", paid ? "Paid" : "Pending"],
+  ];
+  if (type === "team") {
+    rows.push([
+      "Teammates",
+      teammates.map((m) => m.Name || m.name || m.email || m.classroll).join(", ") || "-",
+    ]);
+  }
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>pcIST Registration - ${escapeHtml(event.eventName)}</title>
+<style>
+  body { font-family: 'Outfit', Arial, sans-serif; max-width: 640px; margin: 40px auto; color: #1f2937; }
+  h1 { color: #FF6900; margin-bottom: 4px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+  td { border: 1px solid #e5e7eb; padding: 8px 12px; }
+  td:first-child { font-weight: 600; width: 35%; background: #f9fafb; }
+  footer { margin-top: 24px; font-size: 12px; color: #6b7280; }
+</style>
+</head>
+<body>
+<h1>Registration Confirmation</h1>
+<div>Programming Club of IST (pcIST)</div>
+<table>
+${rows.map(([k, v]) => `<tr><td>${escapeHtml(k)}</td><td>${escapeHtml(v)}</td></tr>`).join("\n")}
+</table>
+<footer>Generated on ${escapeHtml(new Date().toLocaleString("en-US"))}</footer>
+</body>
+</html>
+`;
+};
+
+export const downloadConfirmation = (registration, user) => {
+  const html = buildConfirmationHtml(registration, user);
+  const name = registration.event.eventName.replace(/[^a-z0-9]+/gi, "-").toLowerCase();
+  saveBlob(new Blob([html], { type: "text/html;charset=utf-8" }), `pcist-registration-${name}.html`);
+};
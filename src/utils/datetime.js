@@ -0,0 +1,21 @@
+// Conversions between backend ISO timestamps and `<input type="datetime-local">`.
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "2025-03-14T18:30" in the browser's local time, "" for missing dates.
+export const toDateTimeLocal = (iso) => {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(
+    d.getHours()
+  )}:${pad(d.getMinutes())}`;
+};
+
+// The input value is local time; send it with its offset resolved.
+export const fromDateTimeLocal = (value) => (value ? new Date(value).toISOString() : "");
+
+// clist.by sends UTC times without a zone suffix ("2025-03-14T12:30:00"),
+// which `new Date` would otherwise read as local time.
+export const fromUtcString = (value) =>
+  new Date(/(Z|[+-]\d{2}:?\d{2})$/.test(value || "") ? value : `${value}Z`);
@@ -0,0 +1,11 @@
+// Triggers a browser download for data generated or fetched on the client.
+export const saveBlob = (blob, filename) => {
+  const downloadUrl = window.URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = downloadUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(downloadUrl);
+};
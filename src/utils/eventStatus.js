@@ -0,0 +1,57 @@
+// Lifecycle an admin moves an event through from ListEvents.
+export const EVENT_STATUS = {
+  DRAFT: "draft",
+  PUBLISHED: "published",
+  REGISTRATION_CLOSED: "registration_closed",
+  COMPLETED: "completed",
+  ARCHIVED: "archived",
+};
+
+export const EVENT_STATUS_LABELS = {
+  [EVENT_STATUS.DRAFT]: "Draft",
+  [EVENT_STATUS.PUBLISHED]: "Published",
+  [EVENT_STATUS.REGISTRATION_CLOSED]: "Registration Closed",
+  [EVENT_STATUS.COMPLETED]: "Completed",
+  [EVENT_STATUS.ARCHIVED]: "Archived",
+};
+
+export const EVENT_STATUS_STYLES = {
+  [EVENT_STATUS.DRAFT]: "bg-gray-100 text-gray-700",
+  [EVENT_STATUS.PUBLISHED]: "bg-green-100 text-green-800",
+  [EVENT_STATUS.REGISTRATION_CLOSED]: "bg-yellow-100 text-yellow-800",
+  [EVENT_STATUS.COMPLETED]: "bg-blue-100 text-blue-800",
+  [EVENT_STATUS.ARCHIVED]: "bg-slate-200 text-slate-700",
+};
+
+/**
+ * The status an event is effectively in at `now`. Events saved before
+ * statuses existed count as published. A published event closes by itself
+ * once its deadline passes, and an open one completes once it has started.
+ */
+export const getEventStatus = (event, now = Date.now()) => {
+  const status = event?.status || EVENT_STATUS.PUBLISHED;
+  if (status !== EVENT_STATUS.PUBLISHED && status !== EVENT_STATUS.REGISTRATION_CLOSED) {
+    return status;
+  }
+
+  const startsAt = new Date(event.date).getTime();
+  if (!Number.isNaN(startsAt) && now >= startsAt) return EVENT_STATUS.COMPLETED;
+
+  const deadline = new Date(event.registrationDeadline).getTime();
+  if (!Number.isNaN(deadline) && now >= deadline) return EVENT_STATUS.REGISTRATION_CLOSED;
+
+  return status;
+};
+
+export const isPublicEvent = (event) =>
+  (event?.status || EVENT_STATUS.PUBLISHED) !== EVENT_STATUS.DRAFT;
+
+export const isUpcomingEvent = (event, now = Date.now()) => {
+  const status = getEventStatus(event, now);
+  return status === EVENT_STATUS.PUBLISHED || status === EVENT_STATUS.REGISTRATION_CLOSED;
+};
+
+export const isPastEvent = (event, now = Date.now()) => {
+  const status = getEventStatus(event, now);
+  return status === EVENT_STATUS.COMPLETED || status === EVENT_STATUS.ARCHIVED;
+};
@@ -0,0 +1,27 @@
+/**
+ * Field-level messages from a rejected API call, keyed by field name.
+ * Understands express-validator arrays (`[{ path | param, msg }]`) and
+ * mongoose-style objects (`{ field: { message } }`); empty when the backend
+ * only sent a general `message`.
+ * @param {import("../api/client").ApiError} error
+ * @returns {Object<string, string>}
+ */
+export const getFieldErrors = (error) => {
+  const errors = error?.data?.errors;
+  if (!errors || typeof errors !== "object") return {};
+
+  if (Array.isArray(errors)) {
+    return errors.reduce((acc, e) => {
+      const field = e.path || e.param || e.field;
+      if (field && !acc[field]) acc[field] = e.msg || e.message;
+      return acc;
+    }, {});
+  }
+
+  return Object.fromEntries(
+    Object.entries(errors).map(([field, e]) => [
+      field,
+      typeof e === "string" ? e : e?.message || "Invalid value.",
+    ])
+  );
+};
@@ -0,0 +1,107 @@
+import { saveBlob } from "./download";
+import { locationLabel } from "./locations";
+
+/**
+ * iCalendar (RFC 5545) export for club events.
+ *
+ * Events only store a start time, so calendar entries get a default length.
+ */
+export const DEFAULT_EVENT_DURATION = 2 * 60 * 60 * 1000;
+
+const PRODID = "-//pcIST//Club Events//EN";
+
+// 20250314T123000Z
+const toIcsDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Content lines are folded at 75 octets; continuation lines start with a space.
+const fold = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const eventUrl = (event) => `${window.location.origin}/events/${event._id}`;
+
+/** VEVENT lines for one club event. */
+const toVevent = (event, stamp) => {
+  const start = new Date(event.date);
+  const end = new Date(start.getTime() + DEFAULT_EVENT_DURATION);
+  const url = eventUrl(event);
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${event._id}@pcist`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${toIcsDate(start)}`,
+    `DTEND:${toIcsDate(end)}`,
+    `SUMMARY:${escapeText(event.eventName)}`,
+    `DESCRIPTION:${escapeText(`${event.description || ""}\n\n${url}`.trim())}`,
+    `LOCATION:${escapeText(locationLabel(event.location))}`,
+    `URL:${url}`,
+    "END:VEVENT",
+  ];
+};
+
+/** A complete VCALENDAR document for `events`. */
+export const buildCalendar = (events, name = "pcIST Events") => {
+  const stamp = toIcsDate(Date.now());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => toVevent(event, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+};
+
+const fileSlug = (name) => (name || "event").replace(/[^a-z0-9]+/gi, "-").toLowerCase();
+
+export const downloadEventIcs = (event) => {
+  const blob = new Blob([buildCalendar([event], event.eventName)], {
+    type: "text/calendar;charset=utf-8",
+  });
+  saveBlob(blob, `${fileSlug(event.eventName)}.ics`);
+};
+
+export const downloadCalendarIcs = (events) => {
+  const blob = new Blob([buildCalendar(events)], { type: "text/calendar;charset=utf-8" });
+  saveBlob(blob, "pcist-events.ics");
+};
+
+/**
+ * Subscription links for the feed the backend serves at `feedUrl`.
+ * Calendar apps poll it, so subscribers see new and changed events.
+ */
+export const subscriptionLinks = (feedUrl) => {
+  const webcal = feedUrl.replace(/^https?:\/\//, "webcal://");
+  return {
+    webcal,
+    google: `https://calendar.google.com/calendar/render?cid=${encodeURIComponent(webcal)}`,
+    outlook: `https://outlook.live.com/calendar/0/addfromweb?url=${encodeURIComponent(
+      feedUrl
+    )}&name=${encodeURIComponent("pcIST Events")}`,
+  };
+};
@@ -0,0 +1,16 @@
+// Reads the payload of a JWT without verifying it. Only used for client-side
+// hints such as the expiry time; the backend remains the source of truth.
+export const decodeToken = (token) => {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload));
+  } catch {
+    return null;
+  }
+};
+
+// Expiry as epoch milliseconds, or null when the token carries no `exp`.
+export const tokenExpiry = (token) => {
+  const exp = decodeToken(token)?.exp;
+  return typeof exp === "number" ? exp * 1000 : null;
+};
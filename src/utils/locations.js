@@ -0,0 +1,10 @@
+// Venues an event can be held at, keyed by the value stored on the event.
+export const LOCATIONS = {
+  ist_auditorium: "IST Auditorium",
+  lab1: "Lab 1",
+  lab2: "Lab 2",
+  online: "Online",
+};
+
+// Older events stored free text, which is shown as is.
+export const locationLabel = (location) => LOCATIONS[location] || location;
@@ -0,0 +1,80 @@
+// A member's standing, from the `membership` flag and the dates the backend
+// keeps beside it: `membershipStartedAt`, `membershipExpiresAt` and a
+// `membershipHistory` audit trail.
+export const MEMBERSHIP_STATES = {
+  ACTIVE: "active",
+  EXPIRING: "expiring",
+  EXPIRED: "expired",
+  INACTIVE: "inactive",
+};
+
+export const MEMBERSHIP_LABELS = {
+  active: "Active",
+  expiring: "Expiring soon",
+  expired: "Expired",
+  inactive: "Inactive",
+};
+
+export const MEMBERSHIP_STYLES = {
+  active: "bg-green-100 text-green-700",
+  expiring: "bg-yellow-100 text-yellow-800",
+  expired: "bg-gray-200 text-gray-700",
+  inactive: "bg-red-100 text-red-700",
+};
+
+// Memberships lapsing inside this window are due a renewal reminder.
+export const RENEWAL_WINDOW = 14 * 24 * 60 * 60 * 1000;
+
+export const MEMBERSHIP_DURATIONS = [1, 2, 3, 6, 12];
+
+/**
+ * The expiry date wins over the flag, since the backend only clears
+ * `membership` when its nightly job runs.
+ */
+export const getMembershipState = (user, now = Date.now()) => {
+  const expiresAt = user?.membershipExpiresAt ? new Date(user.membershipExpiresAt).getTime() : null;
+  if (expiresAt !== null && expiresAt <= now) {
+    return user.membership || user.membershipStartedAt ? MEMBERSHIP_STATES.EXPIRED : MEMBERSHIP_STATES.INACTIVE;
+  }
+  if (!user?.membership) return MEMBERSHIP_STATES.INACTIVE;
+  if (expiresAt !== null && expiresAt - now <= RENEWAL_WINDOW) return MEMBERSHIP_STATES.EXPIRING;
+  return MEMBERSHIP_STATES.ACTIVE;
+};
+
+export const isMembershipActive = (user, now = Date.now()) => {
+  const state = getMembershipState(user, now);
+  return state === MEMBERSHIP_STATES.ACTIVE || state === MEMBERSHIP_STATES.EXPIRING;
+};
+
+export const formatMembershipDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" })
+    : "-";
+
+const HISTORY_VERBS = {
+  activated: "Activated",
+  extended: "Extended",
+  revoked: "Revoked",
+  expired: "Expired",
+  reminded: "Renewal reminder sent",
+};
+
+/**
+ * One line per `membershipHistory` entry:
+ * `{ action, at, by: { name, classroll }, durationInMonths?, expiresAt?, note? }`.
+ * @returns {{ key: string, at: string, text: string }[]} newest first
+ */
+export const describeMembershipHistory = (user) =>
+  (user?.membershipHistory || [])
+    .map((entry, idx) => {
+      const parts = [HISTORY_VERBS[entry.action] || entry.action];
+      if (entry.durationInMonths) {
+        parts.push(`for ${entry.durationInMonths} month${entry.durationInMonths > 1 ? "s" : ""}`);
+      }
+      if (entry.expiresAt) parts.push(`until ${formatMembershipDate(entry.expiresAt)}`);
+      // the nightly expiry job records no actor
+      if (entry.by) parts.push(`by ${entry.by.name || entry.by.classroll}`);
+      if (entry.note) parts.push(`(${entry.note})`);
+      return { key: entry._id || String(idx), at: entry.at, text: parts.join(" ") };
+    })
+    .reverse();
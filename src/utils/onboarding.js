@@ -0,0 +1,42 @@
+import { consumeRedirect } from "./redirect";
+
+// Register -> verify email -> add information, derived from the user document.
+export const ONBOARDING_STEPS = {
+  VERIFY_EMAIL: "verify-email",
+  ADD_INFORMATION: "add-information",
+  COMPLETE: "complete",
+};
+
+export const STEP_ROUTES = {
+  [ONBOARDING_STEPS.VERIFY_EMAIL]: "/mail-verify",
+  [ONBOARDING_STEPS.ADD_INFORMATION]: "/add-information",
+};
+
+// The fields AddInformation marks as required.
+export const REQUIRED_PROFILE_FIELDS = [
+  "name",
+  "phone",
+  "gender",
+  "tshirt",
+  "batch",
+  "dept",
+];
+
+export const isProfileComplete = (user) =>
+  REQUIRED_PROFILE_FIELDS.every((field) => {
+    const value = user?.[field];
+    return value !== undefined && value !== null && String(value).trim() !== "";
+  });
+
+export const getOnboardingStep = (user) => {
+  if (!user?.is_email_verified) return ONBOARDING_STEPS.VERIFY_EMAIL;
+  if (!isProfileComplete(user)) return ONBOARDING_STEPS.ADD_INFORMATION;
+  return ONBOARDING_STEPS.COMPLETE;
+};
+
+// Where to send a user after login or after finishing a step: the next
+// unfinished step, otherwise the page they originally asked for.
+export const resumeRoute = (user, fallback = "/") => {
+  const step = getOnboardingStep(user);
+  return STEP_ROUTES[step] || consumeRedirect(fallback);
+};
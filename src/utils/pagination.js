@@ -0,0 +1,11 @@
+// Slices `items` for a 1-based page, clamping out-of-range pages (e.g. from
+// a stale link) to the nearest valid one.
+export const paginate = (items, requestedPage, perPage) => {
+  const totalPages = Math.ceil(items.length / perPage);
+  const page = Math.min(Math.max(Number(requestedPage) || 1, 1), totalPages || 1);
+  return {
+    page,
+    totalPages,
+    items: items.slice((page - 1) * perPage, page * perPage),
+  };
+};
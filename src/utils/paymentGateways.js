@@ -0,0 +1,89 @@
+import bkashLogo from "../assets/logo/bkash.png";
+
+/**
+ * Gateway adapters for the registration fee checkout. The backend creates
+ * the payment and talks to the gateway; an adapter only knows how to send
+ * the payer to its checkout page and how to read the redirect back to
+ * `/payment/callback/<id>`, normalised to `{ status, params }` with `status`
+ * one of "success" | "failure" | "cancel". The gateway's own payment ids stay
+ * inside `params`; the backend's id is kept by rememberPayment.
+ */
+
+const redirectTo = (session) => window.location.assign(session.redirectUrl);
+
+const normaliseStatus = (value) => {
+  const status = (value || "").toLowerCase();
+  if (["success", "completed", "valid", "validated"].includes(status)) return "success";
+  if (["cancel", "cancelled"].includes(status)) return "cancel";
+  return "failure";
+};
+
+const bkash = {
+  id: "bkash",
+  label: "bKash",
+  logo: bkashLogo,
+  checkout: redirectTo,
+  // tokenized checkout appends `paymentID` and `status`
+  parseCallback: (params) => ({
+    status: normaliseStatus(params.get("status")),
+    params: Object.fromEntries(params),
+  }),
+};
+
+const sslcommerz = {
+  id: "sslcommerz",
+  label: "Card / Mobile Banking (SSLCommerz)",
+  checkout: redirectTo,
+  // SSLCommerz posts to the backend, which forwards the payer here with `tran_id` and `status`
+  parseCallback: (params) => ({
+    status: normaliseStatus(params.get("status")),
+    params: Object.fromEntries(params),
+  }),
+};
+
+// Stands in for a real gateway on local and staging builds; no money moves.
+const mock = {
+  id: "mock",
+  label: "Test payment (sandbox)",
+  checkout: (session, { returnUrl }) => {
+    const query = new URLSearchParams({
+      paymentId: session.paymentId,
+      amount: session.amount,
+      returnUrl,
+    });
+    window.location.assign(`/payment/mock?${query}`);
+  },
+  parseCallback: (params) => ({
+    status: normaliseStatus(params.get("status")),
+    params: Object.fromEntries(params),
+  }),
+};
+
+export const MOCK_PAYMENTS_ENABLED =
+  import.meta.env.DEV || import.meta.env.VITE_PAYMENT_MOCK === "true";
+
+const GATEWAYS = [bkash, sslcommerz, ...(MOCK_PAYMENTS_ENABLED ? [mock] : [])];
+
+export const availableGateways = () => GATEWAYS;
+
+export const getGateway = (id) => GATEWAYS.find((gateway) => gateway.id === id) || null;
+
+export const callbackUrl = (gatewayId) =>
+  `${window.location.origin}/payment/callback/${gatewayId}`;
+
+// The payment in flight survives the round trip through the gateway's site,
+// so the callback knows which event to return to even if the gateway drops our id.
+const KEY = "pendingPayment";
+
+export const rememberPayment = (payment) =>
+  sessionStorage.setItem(KEY, JSON.stringify(payment));
+
+export const pendingPayment = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const clearPendingPayment = () => sessionStorage.removeItem(KEY);
@@ -0,0 +1,74 @@
+// Custom questions an event asks on registration, stored on the event as
+// `questions: [{ id, label, type, options?, required }]`. Answers are kept on
+// the registration (the team for team events) as `answers: { [id]: value }`.
+export const QUESTION_TYPES = {
+  TEXT: "text",
+  SELECT: "select",
+  CHECKBOX: "checkbox",
+  FILE: "file",
+};
+
+export const QUESTION_TYPE_LABELS = {
+  text: "Short text",
+  select: "Dropdown",
+  checkbox: "Checkbox (yes/no)",
+  file: "File upload",
+};
+
+// Uploaded answers larger than this are rejected before submitting.
+export const MAX_ANSWER_FILE_SIZE = 5 * 1024 * 1024;
+
+export const newQuestion = () => ({
+  id: `q${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  label: "",
+  type: QUESTION_TYPES.TEXT,
+  options: [],
+  required: false,
+});
+
+// Errors for the form builder, keyed by question id.
+export const validateQuestions = (questions) => {
+  const errors = {};
+  questions.forEach((q) => {
+    if (!q.label.trim()) errors[q.id] = "Every question needs a label.";
+    else if (q.type === QUESTION_TYPES.SELECT && q.options.filter((o) => o.trim()).length < 2) {
+      errors[q.id] = "Dropdowns need at least two options.";
+    }
+  });
+  return errors;
+};
+
+// Errors for a registrant's answers, keyed by question id.
+export const validateAnswers = (questions = [], answers = {}) => {
+  const errors = {};
+  questions.forEach((q) => {
+    const value = answers[q.id];
+    if (q.required) {
+      const missing =
+        q.type === QUESTION_TYPES.CHECKBOX ? value !== true : value == null || value === "";
+      if (missing) errors[q.id] = "This question is required.";
+    }
+    if (q.type === QUESTION_TYPES.FILE && value instanceof File && value.size > MAX_ANSWER_FILE_SIZE) {
+      errors[q.id] = "Files must be 5MB or smaller.";
+    }
+  });
+  return errors;
+};
+
+// Answers belong to the team on team events and to the participant otherwise.
+export const answersOf = (row) => (row.team || row.member)?.answers || {};
+
+/** Plain text for an answer; uploaded files come back from the backend as `{ url, name }`. */
+export const formatAnswer = (question, value) => {
+  if (value == null || value === "") return "";
+  if (question.type === QUESTION_TYPES.CHECKBOX) return value ? "Yes" : "No";
+  if (question.type === QUESTION_TYPES.FILE) return value.url || "";
+  return String(value);
+};
+
+// One spreadsheet column per question, for registration exports.
+export const answerColumns = (event) =>
+  (event?.questions || []).map((q) => ({
+    header: q.label,
+    value: (row) => formatAnswer(q, answersOf(row)[q.id]),
+  }));
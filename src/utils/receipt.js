@@ -0,0 +1,57 @@
+import { saveBlob } from "./download";
+import { escapeHtml } from "./confirmation";
+import { getGateway } from "./paymentGateways";
+
+const formatDate = (dateStr) =>
+  new Date(dateStr).toLocaleString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Payment receipt in the same standalone HTML format as the registration confirmation.
+export const buildReceiptHtml = (receipt) => {
+  const rows = [
+    ["Receipt No.", receipt.paymentId],
+    ["Transaction ID", receipt.transactionId],
+    [receipt.eventName ? "Event" : "For", receipt.eventName || receipt.purpose],
+    ["Paid By", `${receipt.payer?.name || "-"} (${receipt.payer?.classroll ?? "-"})`],
+    ...(receipt.teamName ? [["Team", receipt.teamName]] : []),
+    ["Amount", `BDT ${Number(receipt.amount).toLocaleString("en-US")}`],
+    ["Method", getGateway(receipt.gateway)?.label || receipt.gateway],
+    ["Paid On", formatDate(receipt.paidAt)],
+  ];
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>pcIST Payment Receipt - ${escapeHtml(receipt.paymentId)}</title>
+<style>
+  body { font-family: 'Outfit', Arial, sans-serif; max-width: 640px; margin: 40px auto; color: #1f2937; }
+  h1 { color: #FF6900; margin-bottom: 4px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+  td { border: 1px solid #e5e7eb; padding: 8px 12px; }
+  td:first-child { font-weight: 600; width: 35%; background: #f9fafb; }
+  footer { margin-top: 24px; font-size: 12px; color: #6b7280; }
+</style>
+</head>
+<body>
+<h1>Payment Receipt</h1>
+<div>Programming Club of IST (pcIST)</div>
+<table>
+${rows.map(([k, v]) => `<tr><td>${escapeHtml(k)}</td><td>${escapeHtml(v)}</td></tr>`).join("\n")}
+</table>
+<footer>Generated on ${escapeHtml(new Date().toLocaleString("en-US"))}</footer>
+</body>
+</html>
+`;
+};
+
+export const downloadReceipt = (receipt) =>
+  saveBlob(
+    new Blob([buildReceiptHtml(receipt)], { type: "text/html;charset=utf-8" }),
+    `pcist-receipt-${receipt.paymentId}.html`
+  );
@@ -0,0 +1,56 @@
+// Remembers where a visitor was heading before they had to log in, so the
+// intent survives Login, or the longer Register -> mail-verify ->
+// add-information onboarding, and even a page reload in between.
+const KEY = "redirectAfterLogin";
+const MAX_AGE = 30 * 60 * 1000;
+
+const AUTH_PAGES = [
+  "/login",
+  "/register",
+  "/mail-verify",
+  "/add-information",
+  "/oj-help",
+  "/send-forgot-pass-code",
+  "/verify-forgot-pass-code",
+];
+
+// Only same-site paths, and never back into the auth pages themselves.
+// Browsers read "/\evil.com" like "//evil.com", so a backslash is refused too.
+const isSafePath = (path) =>
+  typeof path === "string" &&
+  path.startsWith("/") &&
+  !/^\/[\\/]/.test(path) &&
+  !AUTH_PAGES.includes(path.split(/[?#]/)[0]);
+
+export const rememberRedirect = (path) => {
+  if (!isSafePath(path)) return;
+  sessionStorage.setItem(KEY, JSON.stringify({ path, at: Date.now() }));
+};
+
+export const peekRedirect = () => {
+  try {
+    const { path, at } = JSON.parse(sessionStorage.getItem(KEY));
+    return Date.now() - at < MAX_AGE && isSafePath(path) ? path : null;
+  } catch {
+    return null;
+  }
+};
+
+export const clearRedirect = () => sessionStorage.removeItem(KEY);
+
+// Returns the remembered path (or `fallback`) and forgets it.
+export const consumeRedirect = (fallback = "/") => {
+  const path = peekRedirect();
+  clearRedirect();
+  return path || fallback;
+};
+
+// Picks up an intent handed over by a guard (`state.from`) or a link
+// (`?redirect=`), e.g. from `useLocation()` on the Login or Register page.
+export const captureRedirect = (location) => {
+  const from = location.state?.from;
+  const fromParam = new URLSearchParams(location.search).get("redirect");
+
+  if (from) rememberRedirect(`${from.pathname}${from.search || ""}`);
+  else if (fromParam) rememberRedirect(fromParam);
+};
@@ -0,0 +1,224 @@
+import { EVENT_STATUS } from "./eventStatus";
+import { isMembershipActive } from "./membership";
+
+// Whether, and why, the current user can register for an event.
+export const REGISTRATION_STATES = {
+  OPEN: "open",
+  CLOSING_SOON: "closing-soon",
+  CLOSED: "closed",
+  FULL: "full",
+  WAITLISTED: "waitlisted",
+  REGISTERED: "registered",
+  MEMBERSHIP_REQUIRED: "membership-required",
+};
+
+// Registration counts as "closing soon" inside this window before the deadline.
+export const CLOSING_SOON_WINDOW = 48 * 60 * 60 * 1000;
+
+export const REGISTRATION_LABELS = {
+  [REGISTRATION_STATES.OPEN]: "Register Now",
+  [REGISTRATION_STATES.CLOSING_SOON]: "Register Now",
+  [REGISTRATION_STATES.CLOSED]: "Registration Closed",
+  [REGISTRATION_STATES.FULL]: "Join Waitlist",
+  [REGISTRATION_STATES.WAITLISTED]: "On Waitlist",
+  [REGISTRATION_STATES.REGISTERED]: "Already Registered",
+  [REGISTRATION_STATES.MEMBERSHIP_REQUIRED]: "Membership Required",
+};
+
+export const canRegister = (state) =>
+  state === REGISTRATION_STATES.OPEN ||
+  state === REGISTRATION_STATES.CLOSING_SOON;
+
+// A full event still takes sign-ups, but onto its waitlist.
+export const canJoinWaitlist = (state) => state === REGISTRATION_STATES.FULL;
+
+// Solo registrations and team members are stored with a class roll; team
+// members may also only be known by the email they were registered with.
+const isSameUser = (member, user) =>
+  (member.classroll != null &&
+    String(member.classroll) === String(user.classroll ?? user.slug)) ||
+  (member.slug != null && String(member.slug) === String(user.slug)) ||
+  (member.email && user.email && member.email.toLowerCase() === user.email.toLowerCase());
+
+// Withdrawn registrations stay on the event so organizers keep their history.
+export const WITHDRAWN = "withdrawn";
+
+export const isWithdrawn = (registration) => registration?.status === WITHDRAWN;
+
+export const activeMembers = (event) =>
+  (event?.registeredMembers || []).filter((m) => !isWithdrawn(m));
+
+export const activeTeams = (event) =>
+  (event?.registeredTeams || []).filter((t) => !isWithdrawn(t));
+
+export const isUserRegistered = (event, user) => {
+  if (!event || !user) return false;
+  const teamMembers = activeTeams(event).flatMap((t) => t.members || []);
+  return [...activeMembers(event), ...teamMembers].some((m) => isSameUser(m, user));
+};
+
+// Teams for team events, people for solo events.
+export const registrationCount = (event) =>
+  (event?.registeredTeams ? activeTeams(event) : activeMembers(event)).length;
+
+export const isFull = (event) =>
+  Boolean(event?.capacity) && registrationCount(event) >= event.capacity;
+
+// Entries promoted to a registration or who left the queue are kept with a status.
+export const waitingEntries = (event) =>
+  (event?.waitlist || []).filter((entry) => !entry.status || entry.status === "waiting");
+
+/** 1-based place of `user` in the event's waitlist, 0 when not queued. */
+export const waitlistPosition = (event, user) => {
+  if (!user) return 0;
+  const index = waitingEntries(event).findIndex(
+    (entry) => isSameUser(entry, user) || (entry.members || []).some((m) => isSameUser(m, user))
+  );
+  return index + 1;
+};
+
+// The moment registration stops: the deadline, or the event itself if sooner.
+export const registrationClosesAt = (event) => {
+  const times = [event.registrationDeadline, event.date]
+    .filter(Boolean)
+    .map((d) => new Date(d).getTime())
+    .filter((t) => !Number.isNaN(t));
+  return times.length ? Math.min(...times) : null;
+};
+
+/**
+ * @param {Object} event event from the backend
+ * @param {Object|null} user session user, null when logged out
+ * @param {number} now epoch ms
+ */
+export const getRegistrationState = (event, user, now = Date.now()) => {
+  if (isUserRegistered(event, user)) return REGISTRATION_STATES.REGISTERED;
+
+  // drafts and events an admin has closed, completed or archived take no one
+  const status = event.status || EVENT_STATUS.PUBLISHED;
+  if (status !== EVENT_STATUS.PUBLISHED) return REGISTRATION_STATES.CLOSED;
+
+  const closesAt = registrationClosesAt(event);
+  if (closesAt !== null && now >= closesAt) return REGISTRATION_STATES.CLOSED;
+
+  if (waitlistPosition(event, user)) return REGISTRATION_STATES.WAITLISTED;
+
+  // logged-out visitors are sent to log in first, so only judge known users
+  if (event.needMembership && user && !isMembershipActive(user, now)) {
+    return REGISTRATION_STATES.MEMBERSHIP_REQUIRED;
+  }
+
+  if (isFull(event)) return REGISTRATION_STATES.FULL;
+
+  if (closesAt !== null && closesAt - now <= CLOSING_SOON_WINDOW) {
+    return REGISTRATION_STATES.CLOSING_SOON;
+  }
+  return REGISTRATION_STATES.OPEN;
+};
+
+// "2d 04h 09m 12s" style countdown text.
+export const formatCountdown = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(total / 86400);
+  const pad = (n) => String(n).padStart(2, "0");
+  const hms = `${pad(Math.floor((total % 86400) / 3600))}h ${pad(
+    Math.floor((total % 3600) / 60)
+  )}m ${pad(total % 60)}s`;
+  return days ? `${days}d ${hms}` : hms;
+};
+
+/**
+ * Every registration `user` holds across `events`, newest event first.
+ * @returns {{ event: Object, type: "solo"|"team", entry: Object, team: Object|null, teammates: Object[],
+ *   paid: boolean, paymentId?: string }[]}
+ */
+export const getUserRegistrations = (events, user) => {
+  if (!user) return [];
+  const registrations = [];
+
+  events.forEach((event) => {
+    const entry = activeMembers(event).find((m) => isSameUser(m, user));
+    if (entry) {
+      registrations.push({ event, type: "solo", entry, team: null, teammates: [], paid: Boolean(entry.paymentStatus), paymentId: entry.paymentId });
+      return;
+    }
+
+    activeTeams(event).forEach((team) => {
+      const members = team.members || [];
+      const self = members.find((m) => isSameUser(m, user));
+      if (!self) return;
+      registrations.push({
+        event,
+        type: "team",
+        entry: self,
+        team,
+        teammates: members.filter((m) => m !== self),
+        paid: Boolean(self.paymentStatus ?? team.paymentStatus),
+        paymentId: self.paymentId ?? team.paymentId,
+      });
+    });
+  });
+
+  return registrations.sort((a, b) => new Date(b.event.date) - new Date(a.event.date));
+};
+
+// Members may edit or withdraw for as long as registration itself is open.
+export const canChangeRegistration = (event, now = Date.now()) => {
+  if ((event.status || EVENT_STATUS.PUBLISHED) !== EVENT_STATUS.PUBLISHED) return false;
+  const closesAt = registrationClosesAt(event);
+  return closesAt === null || now < closesAt;
+};
+
+const HISTORY_VERBS = {
+  registered: "Registered",
+  updated: "Edited",
+  withdrawn: "Withdrew",
+};
+
+/**
+ * One line per audit entry the backend keeps on a registration's `history`:
+ * `{ action, at, by: { name, classroll }, changes?: { teamName, added, removed } }`.
+ * @returns {{ key: string, at: string, text: string }[]} oldest first
+ */
+export const describeHistory = (registration) =>
+  (registration?.history || []).map((entry, idx) => {
+    const actor = entry.by?.name || entry.by?.classroll || "Unknown";
+    const parts = [`${HISTORY_VERBS[entry.action] || entry.action} by ${actor}`];
+    const changes = entry.changes || {};
+
+    if (changes.teamName) {
+      parts.push(`renamed "${changes.teamName.from}" to "${changes.teamName.to}"`);
+    }
+    if (changes.added?.length) parts.push(`added ${changes.added.join(", ")}`);
+    if (changes.removed?.length) parts.push(`removed ${changes.removed.join(", ")}`);
+
+    return { key: entry._id || String(idx), at: entry.at, text: parts.join("; ") };
+  });
+
+/**
+ * One row per participant, team members carrying their team, for admin
+ * tables and exports. Withdrawn registrations are included and flagged.
+ */
+export const registrationRows = (event) => {
+  const solo = (event?.registeredMembers || []).map((m, idx) => ({
+    key: m._id || `member-${idx}`,
+    memberId: m._id,
+    team: null,
+    member: m,
+    paid: Boolean(m.paymentStatus),
+    withdrawn: isWithdrawn(m),
+  }));
+
+  const teams = (event?.registeredTeams || []).flatMap((team, tIdx) =>
+    (team.members || []).map((m, idx) => ({
+      key: m._id || `team-${tIdx}-${idx}`,
+      memberId: m._id,
+      team,
+      member: m,
+      paid: Boolean(m.paymentStatus ?? team.paymentStatus),
+      withdrawn: isWithdrawn(team),
+    }))
+  );
+
+  return [...solo, ...teams];
+};
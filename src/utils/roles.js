@@ -0,0 +1,55 @@
+// Numeric roles as stored on the user document by the backend. 2 predates the
+// other roles and stays the full-access admin; anything unlisted is a member.
+export const ROLES = {
+  MEMBER: 1,
+  ADMIN: 2,
+  EVENT_MANAGER: 3,
+  FINANCE: 4,
+  GALLERY_EDITOR: 5,
+};
+
+export const ROLE_LABELS = {
+  [ROLES.MEMBER]: "Member",
+  [ROLES.ADMIN]: "Super Admin",
+  [ROLES.EVENT_MANAGER]: "Event Manager",
+  [ROLES.FINANCE]: "Finance",
+  [ROLES.GALLERY_EDITOR]: "Gallery Editor",
+};
+
+export const ROLE_STYLES = {
+  [ROLES.MEMBER]: "bg-gray-100 text-gray-700",
+  [ROLES.ADMIN]: "bg-red-100 text-red-700",
+  [ROLES.EVENT_MANAGER]: "bg-blue-100 text-blue-700",
+  [ROLES.FINANCE]: "bg-green-100 text-green-700",
+  [ROLES.GALLERY_EDITOR]: "bg-purple-100 text-purple-700",
+};
+
+// Which roles may use each admin-panel module. Super admins can use them all.
+export const MODULE_ROLES = {
+  events: [ROLES.ADMIN, ROLES.EVENT_MANAGER],
+  members: [ROLES.ADMIN],
+  // approving activates the membership inside the review call, so finance
+  // needs no access to the members module for it
+  membershipRequests: [ROLES.ADMIN, ROLES.FINANCE],
+  gallery: [ROLES.ADMIN, ROLES.GALLERY_EDITOR],
+  documents: [ROLES.ADMIN, ROLES.FINANCE],
+  settings: [ROLES.ADMIN],
+};
+
+export const MODULE_LABELS = {
+  events: "Events, registrations, check-in & certificates",
+  members: "Members",
+  membershipRequests: "Membership requests",
+  gallery: "Gallery",
+  documents: "Pads & invoices",
+  settings: "Roles & settings",
+};
+
+// Everyone who gets into the admin panel at all.
+export const STAFF_ROLES = Object.values(ROLES).filter((role) => role !== ROLES.MEMBER);
+
+export const roleOf = (user) => (ROLE_LABELS[user?.role] ? user.role : ROLES.MEMBER);
+
+export const hasRole = (user, roles) => Boolean(user) && roles.includes(user.role);
+
+export const canUseModule = (user, module) => hasRole(user, MODULE_ROLES[module]);
@@ -0,0 +1,179 @@
+import { saveBlob } from "./download";
+
+/**
+ * Client-side CSV and XLSX export for admin tables.
+ *
+ * `columns` is `[{ header, value: (row) => any }]`; numbers stay numeric in
+ * XLSX, everything else is written as text.
+ */
+
+const cellValue = (column, row) => {
+  const value = column.value(row);
+  return value === null || value === undefined ? "" : value;
+};
+
+// Names, team names and answers are typed by members; CSV text that Excel
+// would run as a formula gets a leading quote. A lone "-" placeholder and
+// signed numbers or phone numbers ("+880 1711-000000") are left as they are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const SIGNED_NUMBER = /^-$|^[+-][\d\s().-]*$/;
+
+const csvText = (value) => {
+  const text = String(value);
+  return FORMULA_START.test(text) && !SIGNED_NUMBER.test(text) ? `'${text}` : text;
+};
+
+const csvCell = (value) => `"${csvText(value).replaceAll('"', '""')}"`;
+
+export const toCsv = (rows, columns) =>
+  [
+    columns.map((c) => csvCell(c.header)),
+    ...rows.map((row) => columns.map((c) => csvCell(cellValue(c, row)))),
+  ]
+    .map((line) => line.join(","))
+    .join("\n") + "\n";
+
+export const downloadCsv = (rows, columns, filename) => {
+  // BOM so Excel opens Bengali names as UTF-8
+  const blob = new Blob(["\uFEFF", toCsv(rows, columns)], {
+    type: "text/csv;charset=utf-8;",
+  });
+  saveBlob(blob, filename);
+};
+
+// ---- XLSX: a single-sheet workbook in an uncompressed zip ----
+
+const escapeXml = (value) =>
+  String(value).replace(/[&<>"]/g, (c) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+  })[c]);
+
+// A, B, ... Z, AA, AB ...
+const columnName = (idx) => {
+  let name = "";
+  for (let n = idx + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const xlsxCell = (value, ref) =>
+  typeof value === "number" && Number.isFinite(value)
+    ? `<c r="${ref}"><v>${value}</v></c>`
+    : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+
+const sheetXml = (rows, columns) => {
+  const lines = [
+    columns.map((c) => c.header),
+    ...rows.map((row) => columns.map((c) => cellValue(c, row))),
+  ].map(
+    (values, r) =>
+      `<row r="${r + 1}">${values
+        .map((v, c) => xlsxCell(v, `${columnName(c)}${r + 1}`))
+        .join("")}</row>`
+  );
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${lines.join("")}</sheetData></worksheet>`
+  );
+};
+
+const workbookFiles = (sheetName, sheet) => ({
+  "[Content_Types].xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    "</Types>",
+  "_rels/.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>",
+  "xl/workbook.xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+    "</workbook>",
+  "xl/_rels/workbook.xml.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    "</Relationships>",
+  "xl/worksheets/sheet1.xml": sheet,
+});
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = CRC_TABLE[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Stored (uncompressed) zip; spreadsheets exported here are small.
+const zip = (files) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local, nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, p) => sum + p.byteLength, 0);
+  const count = Object.keys(files).length;
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, count, true);
+  end.setUint16(10, count, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return [...parts, ...central, end];
+};
+
+export const toXlsx = (rows, columns, sheetName = "Sheet1") =>
+  new Blob(zip(workbookFiles(sheetName, sheetXml(rows, columns))), {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  });
+
+export const downloadXlsx = (rows, columns, filename, sheetName) => {
+  saveBlob(toXlsx(rows, columns, sheetName), filename);
+};
@@ -0,0 +1,62 @@
+// Team size and roster validation shared by AddEvent and the registration form.
+
+// Events created before team sizes existed were registered as exactly three.
+export const DEFAULT_TEAM_SIZE = 3;
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const teamSizeLimits = (event) => {
+  const min = Number(event?.minTeamSize) || DEFAULT_TEAM_SIZE;
+  const max = Math.max(min, Number(event?.maxTeamSize) || min);
+  return { min, max };
+};
+
+let rowCount = 0;
+
+// `account` is set once the class roll lookup found a pcIST user; `id` keys
+// the row so a lookup still lands on it after other rows are removed.
+export const emptyMember = () => ({
+  id: `member-${rowCount++}`,
+  email: "",
+  roll: "",
+  account: null,
+  lookingUp: false,
+  lookupError: "",
+});
+
+export const emptyRoster = (limits) => Array.from({ length: limits.min }, emptyMember);
+
+/**
+ * @returns {{ teamName: string, members: string[], form: string }} empty
+ * strings where a field is valid; `members` is indexed like the roster
+ */
+export const validateTeam = ({ teamName, members }, { min, max }) => {
+  const errors = { teamName: "", members: members.map(() => ""), form: "" };
+  const seen = new Map();
+
+  if (!teamName.trim()) errors.teamName = "Please enter a team name.";
+
+  members.forEach((member, idx) => {
+    const email = member.email.trim().toLowerCase();
+    if (!email) {
+      errors.members[idx] = "Email is required.";
+    } else if (!EMAIL_PATTERN.test(email)) {
+      errors.members[idx] = "Enter a valid email address.";
+    } else if (seen.has(email)) {
+      errors.members[idx] = `Same email as member ${seen.get(email) + 1}.`;
+    } else {
+      seen.set(email, idx);
+    }
+  });
+
+  if (members.length < min || members.length > max) {
+    errors.form =
+      min === max
+        ? `Teams must have exactly ${min} members.`
+        : `Teams must have between ${min} and ${max} members.`;
+  }
+  return errors;
+};
+
+export const hasTeamErrors = (errors) =>
+  Boolean(errors.teamName || errors.form || errors.members.some(Boolean));
@@ -0,0 +1,23 @@
+export const DOCUMENT_TYPE_LABELS = {
+  certificate: "Certificate",
+  pad: "Academic PAD",
+  invoice: "Invoice",
+};
+
+/** Route that opens /verify with the serial already looked up. */
+export const verifyPath = (serial) => `/verify?serial=${encodeURIComponent(serial)}`;
+
+/**
+ * Pulls a serial out of whatever a QR code held: a /verify link printed on
+ * the document or the bare serial itself.
+ */
+export const parseSerial = (text) => {
+  const value = (text || "").trim();
+  // serials may contain a colon ("PCIST:2025-001"), so only web links count as links
+  if (!/^https?:\/\//i.test(value)) return value;
+  try {
+    return (new URL(value).searchParams.get("serial") || "").trim();
+  } catch {
+    return value;
+  }
+};